@@ -0,0 +1,659 @@
+// Autopilot logic that needs no Electron APIs or stored state: schedules,
+// tweet length, threads, duplicate detection, rate limits and topic files.
+// The main process (electron.js) wires these to its stores.
+
+const crypto = require('crypto');
+
+// --- Schedules ---
+// Autopilot slots are computed from one of three modes, evaluated in the
+// configured IANA timezone (empty = system timezone):
+//   interval - every N minutes
+//   daily    - N evenly spaced slots per day between two HH:MM times
+//   cron     - 5-field cron expression (minute hour day-of-month month day-of-week)
+
+const DEFAULT_SCHEDULE = {
+  mode: 'interval',
+  intervalMinutes: 40,
+  timesPerDay: 6,
+  windowStart: '09:00',
+  windowEnd: '21:00',
+  cron: '0 9-17 * * 1-5',
+  jitterMinutes: 0,
+  timezone: ''
+};
+
+const CRON_SEARCH_DAYS = 366 * 5; // Enough to reach the next Feb 29
+
+const Schedules = {
+  formatters: new Map(),
+
+  // Wall-clock parts of an instant in the given timezone
+  getZonedParts: (time, timeZone) => {
+    const key = timeZone || 'system';
+    if (!Schedules.formatters.has(key)) {
+      Schedules.formatters.set(key, new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone || undefined,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      }));
+    }
+
+    const parts = {};
+    Schedules.formatters.get(key).formatToParts(new Date(time)).forEach(({ type, value }) => {
+      if (type !== 'literal') parts[type] = Number(value);
+    });
+    return parts;
+  },
+
+  // Milliseconds the timezone is ahead of UTC at the given instant
+  getOffset: (time, timeZone) => {
+    const p = Schedules.getZonedParts(time, timeZone);
+    const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return wallClock - Math.floor(time / 1000) * 1000;
+  },
+
+  // Instant for a wall-clock time in the timezone (fields may overflow, like Date.UTC)
+  zonedTimeToUtc: (year, month, day, hour, minute, timeZone) => {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const firstOffset = Schedules.getOffset(guess, timeZone);
+    const secondOffset = Schedules.getOffset(guess - firstOffset, timeZone);
+    return guess - secondOffset;
+  },
+
+  parseTime: (value, label) => {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value || '').trim());
+    if (!match) throw new Error(`${label} must be HH:MM (24h)`);
+    return Number(match[1]) * 60 + Number(match[2]);
+  },
+
+  parseCronField: (field, label, min, max) => {
+    const values = new Set();
+
+    field.split(',').forEach(part => {
+      const [range, stepText] = part.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+      let start;
+      let end;
+
+      if (range === '*') {
+        start = min;
+        end = max;
+      } else if (range.includes('-')) {
+        [start, end] = range.split('-').map(Number);
+      } else {
+        start = Number(range);
+        end = stepText === undefined ? start : max;
+      }
+
+      if (!Number.isInteger(step) || step < 1 ||
+          !Number.isInteger(start) || !Number.isInteger(end) ||
+          start < min || end > max || start > end) {
+        throw new Error(`Invalid ${label} "${part}" (allowed ${min}-${max})`);
+      }
+
+      for (let value = start; value <= end; value += step) values.add(value);
+    });
+
+    return [...values].sort((a, b) => a - b);
+  },
+
+  parseCron: (expression) => {
+    const fields = String(expression || '').trim().split(/\s+/);
+    if (fields.length !== 5) {
+      throw new Error('Cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+    return {
+      minutes: Schedules.parseCronField(minute, 'minute', 0, 59),
+      hours: Schedules.parseCronField(hour, 'hour', 0, 23),
+      daysOfMonth: Schedules.parseCronField(dayOfMonth, 'day-of-month', 1, 31),
+      months: Schedules.parseCronField(month, 'month', 1, 12),
+      // 0 and 7 are both Sunday
+      daysOfWeek: Schedules.parseCronField(dayOfWeek, 'day-of-week', 0, 7).map(day => day % 7),
+      dayOfMonthRestricted: dayOfMonth !== '*',
+      dayOfWeekRestricted: dayOfWeek !== '*'
+    };
+  },
+
+  // Validate user input and fill in defaults; throws with a readable message
+  normalize: (input = {}) => {
+    const schedule = { ...DEFAULT_SCHEDULE, ...input };
+
+    if (!['interval', 'daily', 'cron'].includes(schedule.mode)) {
+      throw new Error(`Unknown schedule mode "${schedule.mode}"`);
+    }
+
+    schedule.intervalMinutes = Number(schedule.intervalMinutes);
+    if (!Number.isInteger(schedule.intervalMinutes) || schedule.intervalMinutes < 1) {
+      throw new Error('Interval must be a whole number of minutes (1 or more)');
+    }
+
+    schedule.timesPerDay = Number(schedule.timesPerDay);
+    if (!Number.isInteger(schedule.timesPerDay) || schedule.timesPerDay < 1 || schedule.timesPerDay > 96) {
+      throw new Error('Times per day must be between 1 and 96');
+    }
+
+    Schedules.parseTime(schedule.windowStart, 'Window start');
+    Schedules.parseTime(schedule.windowEnd, 'Window end');
+
+    schedule.cron = String(schedule.cron || '').trim();
+    if (schedule.mode === 'cron') Schedules.parseCron(schedule.cron);
+
+    schedule.jitterMinutes = Number(schedule.jitterMinutes) || 0;
+    if (!Number.isInteger(schedule.jitterMinutes) || schedule.jitterMinutes < 0) {
+      throw new Error('Jitter must be a whole number of minutes (0 or more)');
+    }
+
+    schedule.timezone = String(schedule.timezone || '').trim();
+    if (schedule.timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+      } catch (error) {
+        throw new Error(`Unknown timezone "${schedule.timezone}"`);
+      }
+    }
+
+    return schedule;
+  },
+
+  describe: (schedule) => {
+    let text;
+    if (schedule.mode === 'daily') {
+      text = `${schedule.timesPerDay} times per day between ${schedule.windowStart} and ${schedule.windowEnd}`;
+    } else if (schedule.mode === 'cron') {
+      text = `cron "${schedule.cron}"`;
+    } else {
+      text = `every ${schedule.intervalMinutes} minutes`;
+    }
+
+    if (schedule.jitterMinutes > 0) text += ` (±${schedule.jitterMinutes} min jitter)`;
+    if (schedule.timezone) text += ` [${schedule.timezone}]`;
+    return text;
+  },
+
+  // Local calendar date `offsetDays` away from the date of `time` in the timezone
+  getZonedDate: (time, offsetDays, timeZone) => {
+    const p = Schedules.getZonedParts(time, timeZone);
+    const date = new Date(Date.UTC(p.year, p.month - 1, p.day + offsetDays));
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      weekday: date.getUTCDay()
+    };
+  },
+
+  nextDailySlot: (schedule, from) => {
+    const start = Schedules.parseTime(schedule.windowStart, 'Window start');
+    let end = Schedules.parseTime(schedule.windowEnd, 'Window end');
+    if (end <= start) end += 24 * 60; // Window crosses midnight
+
+    const count = schedule.timesPerDay;
+    const slotMinutes = count === 1
+      ? [start]
+      : Array.from({ length: count }, (_, i) => Math.round(start + (i * (end - start)) / (count - 1)));
+
+    // Yesterday's window may still be open when it crosses midnight
+    for (let offset = -1; offset <= 2; offset++) {
+      const date = Schedules.getZonedDate(from, offset, schedule.timezone);
+      for (const minutes of slotMinutes) {
+        const slot = Schedules.zonedTimeToUtc(
+          date.year, date.month, date.day, Math.floor(minutes / 60), minutes % 60, schedule.timezone
+        );
+        if (slot > from) return slot;
+      }
+    }
+    return null;
+  },
+
+  nextCronSlot: (schedule, from) => {
+    const cron = Schedules.parseCron(schedule.cron);
+
+    for (let offset = 0; offset <= CRON_SEARCH_DAYS; offset++) {
+      const date = Schedules.getZonedDate(from, offset, schedule.timezone);
+      if (!cron.months.includes(date.month)) continue;
+
+      const domMatch = cron.daysOfMonth.includes(date.day);
+      const dowMatch = cron.daysOfWeek.includes(date.weekday);
+      // Standard cron: if both day fields are restricted, either may match
+      const dayMatch = cron.dayOfMonthRestricted && cron.dayOfWeekRestricted
+        ? domMatch || dowMatch
+        : domMatch && dowMatch;
+      if (!dayMatch) continue;
+
+      for (const hour of cron.hours) {
+        for (const minute of cron.minutes) {
+          const slot = Schedules.zonedTimeToUtc(date.year, date.month, date.day, hour, minute, schedule.timezone);
+          if (slot > from) return slot;
+        }
+      }
+    }
+    return null;
+  },
+
+  // Next un-jittered slot strictly after `from`
+  nextSlot: (schedule, from = Date.now()) => {
+    let slot;
+    if (schedule.mode === 'daily') slot = Schedules.nextDailySlot(schedule, from);
+    else if (schedule.mode === 'cron') slot = Schedules.nextCronSlot(schedule, from);
+    else slot = from + schedule.intervalMinutes * 60 * 1000;
+
+    if (!slot) throw new Error('Schedule never fires');
+    return slot;
+  },
+
+  upcomingSlots: (schedule, count = 5) => {
+    const slots = [];
+    let from = Date.now();
+    for (let i = 0; i < count; i++) {
+      from = Schedules.nextSlot(schedule, from);
+      slots.push(from);
+    }
+    return slots;
+  },
+
+  applyJitter: (slot, jitterMinutes) => {
+    if (!jitterMinutes) return slot;
+    const jitterMs = jitterMinutes * 60 * 1000;
+    return slot + Math.round((Math.random() * 2 - 1) * jitterMs);
+  }
+};
+
+// --- Tweet Length ---
+// X counts "weighted" characters: most Latin text weighs 1, everything else
+// (CJK, most symbols) weighs 2, an emoji sequence weighs 2 in total and every
+// link counts as 23 regardless of its length.
+
+const TWEET_MAX_CHARS = 280;
+const TWEET_URL_LENGTH = 23;
+
+// Code point ranges that weigh 1 (from twitter-text's v3 configuration)
+const LIGHT_CHAR_RANGES = [[0, 4351], [8192, 8205], [8208, 8223], [8242, 8247]];
+
+const URL_PATTERN = /(?:https?:\/\/|www\.)\S+|\b[a-z0-9][a-z0-9-]*(?:\.[a-z0-9-]+)*\.(?:com|org|net|io|ai|dev|app|co|me|ly|gg|xyz)\b(?:\/\S*)?/gi;
+const URL_TRAILING_PUNCTUATION = /[.,!?;:)'"]+$/;
+
+const TweetLength = {
+  graphemeSegmenter: new Intl.Segmenter('en', { granularity: 'grapheme' }),
+
+  // Weight of plain text (no link detection)
+  weighChars: (text) => {
+    let weight = 0;
+    for (const { segment } of TweetLength.graphemeSegmenter.segment(text)) {
+      if (/\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(segment)) {
+        weight += 2;
+        continue;
+      }
+      for (const char of segment) {
+        const code = char.codePointAt(0);
+        weight += LIGHT_CHAR_RANGES.some(([start, end]) => code >= start && code <= end) ? 1 : 2;
+      }
+    }
+    return weight;
+  },
+
+  weigh: (text) => {
+    let weight = 0;
+    const rest = String(text || '').normalize('NFC').replace(URL_PATTERN, (match) => {
+      const trailing = match.match(URL_TRAILING_PUNCTUATION)?.[0] || '';
+      weight += TWEET_URL_LENGTH;
+      return trailing;
+    });
+    return weight + TweetLength.weighChars(rest);
+  },
+
+  count: (text, max = TWEET_MAX_CHARS) => {
+    const weighted = TweetLength.weigh(text);
+    return { weighted, max, remaining: max - weighted, valid: weighted <= max };
+  },
+
+  // Cut a single over-long word into pieces on grapheme boundaries
+  chunk: (word, budget) => {
+    const pieces = [''];
+    for (const { segment } of TweetLength.graphemeSegmenter.segment(word)) {
+      const last = pieces[pieces.length - 1];
+      if (last && TweetLength.weigh(last + segment) > budget) {
+        pieces.push(segment);
+      } else {
+        pieces[pieces.length - 1] = last + segment;
+      }
+    }
+    return pieces.filter(Boolean);
+  },
+
+  // Shorten to fit with an ellipsis, cutting between words (never inside a link or emoji)
+  trim: (text, max = TWEET_MAX_CHARS) => {
+    const clean = String(text || '').trim();
+    if (TweetLength.weigh(clean) <= max) return clean;
+
+    const budget = max - TweetLength.weigh('…');
+    let result = '';
+    for (const token of clean.split(/(\s+)/)) {
+      if (TweetLength.weigh(result + token) > budget) break;
+      result += token;
+    }
+    if (!result.trim()) result = TweetLength.chunk(clean, budget)[0];
+
+    return `${result.trim().replace(/[\s,;:-]+$/, '')}…`;
+  }
+};
+
+// --- Threads ---
+// Long text is split on sentence boundaries into tweet-sized parts; model
+// output for thread mode is a JSON array of parts.
+
+const Threads = {
+  sentenceSegmenter: new Intl.Segmenter('en', { granularity: 'sentence' }),
+
+  // Greedily pack sentences into parts of at most `budget` weighted characters
+  pack: (text, budget) => {
+    const units = [];
+    [...Threads.sentenceSegmenter.segment(text)].forEach(({ segment }) => {
+      const sentence = segment.replace(/\s+/g, ' ').trim();
+      if (!sentence) return;
+      if (TweetLength.weigh(sentence) <= budget) {
+        units.push(sentence);
+        return;
+      }
+
+      // Sentence too long on its own: fall back to words, then hard cuts
+      sentence.split(' ').forEach(word => {
+        units.push(...(TweetLength.weigh(word) <= budget ? [word] : TweetLength.chunk(word, budget)));
+      });
+    });
+
+    const parts = [];
+    units.forEach(unit => {
+      const last = parts[parts.length - 1];
+      if (last !== undefined && TweetLength.weigh(`${last} ${unit}`) <= budget) {
+        parts[parts.length - 1] = `${last} ${unit}`;
+      } else {
+        parts.push(unit);
+      }
+    });
+    return parts;
+  },
+
+  // Split text into tweet-sized parts, leaving room for "n/n" when numbering.
+  // `paragraphs` keeps blank-line breaks as hard part boundaries.
+  split: (text, { numbering = false, paragraphs = false } = {}) => {
+    const clean = String(text || '').trim();
+    if (!clean) return [];
+    if (!paragraphs && TweetLength.weigh(clean) <= TWEET_MAX_CHARS) return [clean];
+
+    const blocks = paragraphs ? clean.split(/\n\s*\n/) : [clean];
+    let reserveFor = 9;
+    let parts = [];
+
+    // Re-pack if the part count needs more digits than we reserved
+    for (let pass = 0; pass < 3; pass++) {
+      const budget = TWEET_MAX_CHARS - (numbering ? ` ${reserveFor}/${reserveFor}`.length : 0);
+      parts = blocks.flatMap(block => Threads.pack(block, budget));
+      if (String(parts.length).length <= String(reserveFor).length) break;
+      reserveFor = parts.length;
+    }
+    return parts;
+  },
+
+  // Model output -> ordered parts (JSON array, with a blank-line fallback)
+  parseGenerated: (raw, { numbering = false } = {}) => {
+    const cleaned = String(raw || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    let parts;
+
+    try {
+      const parsed = JSON.parse(cleaned);
+      if (Array.isArray(parsed)) parts = parsed.map(part => String(part).trim());
+    } catch (error) {
+      // Not JSON: fall back to blank-line splitting below
+    }
+
+    if (!parts) parts = cleaned.split(/\n\s*\n/).map(part => part.trim());
+    return Threads.split(parts.filter(Boolean).join('\n\n'), { numbering, paragraphs: true });
+  },
+
+  // Final text of each part as it will be posted
+  finalize: (parts, { numbering = false } = {}) => {
+    if (!numbering || parts.length < 2) return parts;
+    return parts.map((part, index) => `${part} ${index + 1}/${parts.length}`);
+  }
+};
+
+// --- Duplicate Detection ---
+// Jaccard similarity over character shingles, which also works for text
+// without spaces.
+
+const SHINGLE_SIZE = 5;
+
+const Similarity = {
+  // Lowercased, links and punctuation removed, whitespace collapsed
+  normalize: (text) => String(text || '')
+    .toLowerCase()
+    .replace(URL_PATTERN, ' ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim(),
+
+  shingles: (text) => {
+    const normalized = Similarity.normalize(text);
+    const set = new Set();
+    if (normalized.length <= SHINGLE_SIZE) {
+      if (normalized) set.add(normalized);
+      return set;
+    }
+    for (let i = 0; i <= normalized.length - SHINGLE_SIZE; i++) {
+      set.add(normalized.slice(i, i + SHINGLE_SIZE));
+    }
+    return set;
+  },
+
+  jaccard: (a, b) => {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(shingle => {
+      if (b.has(shingle)) shared++;
+    });
+    return shared / (a.size + b.size - shared);
+  },
+
+  // Closest recent text at or above the threshold, or null
+  findSimilar: (text, recentTexts, threshold) => {
+    const candidate = Similarity.shingles(text);
+    let best = null;
+
+    recentTexts.forEach(recent => {
+      const score = Similarity.jaccard(candidate, Similarity.shingles(recent));
+      if (score >= threshold && (!best || score > best.score)) best = { text: recent, score };
+    });
+    return best;
+  }
+};
+
+// --- Rate Limits ---
+// X's rate-limit headers and the user's own hourly and daily caps decide
+// whether an account may post now, and if not, until when.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const RateLimits = {
+  // X's rate-limit headers; reset times are returned in ms (headers are epoch seconds)
+  parseHeaders: (headers) => {
+    const number = (name) => {
+      const value = headers.get(name);
+      return value === null || value === '' || isNaN(Number(value)) ? null : Number(value);
+    };
+    const time = (name) => (number(name) === null ? null : number(name) * 1000);
+
+    return {
+      limit: number('x-rate-limit-limit'),
+      remaining: number('x-rate-limit-remaining'),
+      reset: time('x-rate-limit-reset'),
+      userLimit24h: number('x-user-limit-24hour-limit'),
+      userRemaining24h: number('x-user-limit-24hour-remaining'),
+      userReset24h: time('x-user-limit-24hour-reset')
+    };
+  },
+
+  // Stored limits with parsed headers merged in (absent headers keep their
+  // last value), or null when the response carried none
+  merge: (limits, headers, now = Date.now()) => {
+    const known = Object.fromEntries(Object.entries(headers).filter(([, value]) => value !== null));
+    if (Object.keys(known).length === 0) return null;
+    return { ...limits, ...known, updatedAt: now };
+  },
+
+  // Why `tweets` more posts are not allowed at `now` ({ reason, until }), or
+  // null. `posted` has one timestamp per tweet posted in the last day.
+  // `until` is null when waiting will not help (a thread longer than a cap).
+  check: ({ limits = {}, hourlyCap = 0, dailyCap = 0, posted = [], tweets = 1, now = Date.now() }) => {
+    const caps = [[hourlyCap, HOUR_MS, 'Hourly'], [dailyCap, DAY_MS, 'Daily']];
+    const exceeded = caps.find(([cap]) => cap && tweets > cap);
+    if (exceeded) {
+      const [cap, , label] = exceeded;
+      return { reason: `Thread of ${tweets} parts exceeds the ${label.toLowerCase()} cap of ${cap}`, until: null };
+    }
+
+    if (limits.userRemaining24h !== undefined && limits.userRemaining24h < tweets && limits.userReset24h > now) {
+      return { reason: 'X 24-hour post limit reached', until: limits.userReset24h };
+    }
+    if (limits.remaining !== undefined && limits.remaining < tweets && limits.reset > now) {
+      return { reason: 'X rate limit reached', until: limits.reset };
+    }
+
+    for (const [cap, windowMs, label] of caps) {
+      if (!cap) continue;
+      const inWindow = posted.filter(timestamp => timestamp >= now - windowMs).sort((a, b) => a - b);
+      if (inWindow.length + tweets > cap) {
+        // Wait until enough posts have rolled out of the window
+        const rollOff = inWindow[inWindow.length + tweets - cap - 1];
+        return { reason: `${label} cap of ${cap} post(s) reached`, until: rollOff + windowMs };
+      }
+    }
+    return null;
+  }
+};
+
+// --- Topic Files ---
+// Topic lists are imported from and exported to CSV or JSON files. Topics
+// are objects ({ id, label, notes, tags, enabled, group }).
+
+const TOPIC_CSV_COLUMNS = ['label', 'group', 'tags', 'notes', 'enabled'];
+
+const Topics = {
+  // Accepts a string or a partial topic; null when there is no label
+  normalize: (topic) => {
+    const source = typeof topic === 'string' ? { label: topic } : topic || {};
+    const label = String(source.label || '').trim();
+    if (!label) return null;
+
+    const tags = Array.isArray(source.tags) ? source.tags : String(source.tags || '').split(/[;,|]/);
+    return {
+      id: source.id || crypto.randomUUID(),
+      label,
+      notes: String(source.notes || '').trim(),
+      tags: [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))],
+      enabled: source.enabled === undefined ? true : source.enabled !== false && !/^(false|no|0)$/i.test(String(source.enabled)),
+      group: String(source.group || '').trim()
+    };
+  },
+
+  normalizeList: (topics) => (Array.isArray(topics) ? topics : []).map(Topics.normalize).filter(Boolean),
+
+  // Append imported topics whose label is not in the list yet
+  merge: (existing, incoming) => {
+    const labels = new Set(existing.map(topic => topic.label.toLowerCase()));
+    const added = incoming
+      .map(topic => ({ ...topic, id: crypto.randomUUID() }))
+      .filter(topic => {
+        const key = topic.label.toLowerCase();
+        if (labels.has(key)) return false;
+        labels.add(key);
+        return true;
+      });
+    return { topics: [...existing, ...added], added: added.length };
+  },
+
+  toCsv: (topics) => {
+    const cell = (value) => {
+      const text = String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = topics.map(topic => [topic.label, topic.group, topic.tags.join(';'), topic.notes, topic.enabled].map(cell).join(','));
+    return [TOPIC_CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  },
+
+  // RFC 4180 style: quoted cells may contain commas, quotes ("") and newlines
+  parseCsv: (text) => {
+    const rows = [[]];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        rows[rows.length - 1].push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        rows[rows.length - 1].push(cell);
+        rows.push([]);
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    rows[rows.length - 1].push(cell);
+
+    const nonEmpty = rows.filter(row => row.some(value => value.trim()));
+    if (nonEmpty.length === 0) return [];
+
+    // A header row is optional; without one the first column is the label
+    const header = nonEmpty[0].map(name => name.trim().toLowerCase());
+    const hasHeader = header.includes('label');
+    const columns = hasHeader ? header : TOPIC_CSV_COLUMNS;
+    return (hasHeader ? nonEmpty.slice(1) : nonEmpty)
+      .map(row => Object.fromEntries(columns.map((name, index) => [name, row[index] ?? ''])));
+  },
+
+  // File contents -> normalized topics (JSON: array of strings or objects, or { topics: [...] })
+  parseImport: (text, format) => {
+    if (format === 'json') {
+      const parsed = JSON.parse(text);
+      const list = Array.isArray(parsed) ? parsed : parsed?.topics;
+      if (!Array.isArray(list)) throw new Error('Expected a JSON array of topics');
+      return Topics.normalizeList(list);
+    }
+    return Topics.normalizeList(Topics.parseCsv(text));
+  }
+};
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  Schedules,
+  TWEET_MAX_CHARS,
+  TWEET_URL_LENGTH,
+  TweetLength,
+  Threads,
+  Similarity,
+  HOUR_MS,
+  DAY_MS,
+  RateLimits,
+  Topics
+};
@@ -1,18 +1,28 @@
-const { app, BrowserWindow, Menu, ipcMain, safeStorage, Tray } = require('electron');
+const { app, BrowserWindow, Menu, ipcMain, safeStorage, Tray, dialog, shell, nativeImage, Notification } = require('electron');
+const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const http = require('http');
 const Store = require('electron-store');
 const log = require('electron-log');
 const { autoUpdater } = require('electron-updater');
+const { DEFAULT_SCHEDULE, Schedules, TWEET_MAX_CHARS, TWEET_URL_LENGTH, TweetLength, Threads, Similarity, HOUR_MS, DAY_MS, RateLimits, Topics } = require('./automation');
 const isDev = !app.isPackaged;
 
+// `electron . --headless` runs the scheduler with no window, tray or renderer (e.g. on a server)
+const isHeadless = process.argv.includes('--headless');
+if (isHeadless && process.platform === 'linux') {
+  // No X server or Wayland compositor needed
+  app.commandLine.appendSwitch('ozone-platform', 'headless');
+}
+
 // Configure electron-log
 // In production: logs saved to %APPDATA%/twitter-x-automator/logs/
 // In development: logs to console + file
 log.transports.file.level = 'info';
 log.transports.console.level = isDev ? 'debug' : 'info';
 log.info('=== Twitter Automator Started ===');
-log.info(`Environment: ${isDev ? 'Development' : 'Production'}`);
+log.info(`Environment: ${isDev ? 'Development' : 'Production'}${isHeadless ? ' (headless)' : ''}`);
 log.info(`App Version: ${app.getVersion()}`);
 log.info(`Electron Version: ${process.versions.electron}`);
 log.info(`Log file location: ${log.transports.file.getFile().path}`);
@@ -50,7 +60,7 @@ const store = new Store({
   name: 'config',
   clearInvalidConfig: true, // Clear if JSON is invalid
   defaults: {
-    topics: [],
+    accounts: [], // Account profiles (see Accounts section)
     autoLaunch: false // Auto-launch on system startup
   }
 });
@@ -95,234 +105,3341 @@ const secureStorage = {
   }
 };
 
-// Keep a global reference to prevent garbage collection
-let mainWindow;
-let tray = null;
+// Keep a global reference to prevent garbage collection
+let mainWindow;
+let tray = null;
+
+// --- OAuth 1.0a Helper (Node.js version) ---
+const OAuth = {
+  percentEncode: (str) => {
+    return encodeURIComponent(str)
+      .replace(/!/g, '%21')
+      .replace(/\*/g, '%2A')
+      .replace(/'/g, '%27')
+      .replace(/\(/g, '%28')
+      .replace(/\)/g, '%29');
+  },
+
+  getNonce: () => {
+    return crypto.randomBytes(16).toString('hex'); // Generate random nonce
+  },
+
+  getTimestamp: () => {
+    return Math.floor(Date.now() / 1000).toString();
+  },
+
+  generateSignature: (method, url, params, consumerSecret, tokenSecret) => {
+    const sortedKeys = Object.keys(params).sort();
+    let paramString = '';
+    
+    sortedKeys.forEach((key, index) => {
+      paramString += `${key}=${OAuth.percentEncode(params[key])}`;
+      if (index < sortedKeys.length - 1) paramString += '&';
+    });
+
+    const signatureBase = `${method.toUpperCase()}&${OAuth.percentEncode(url)}&${OAuth.percentEncode(paramString)}`;
+    const signingKey = `${OAuth.percentEncode(consumerSecret)}&${OAuth.percentEncode(tokenSecret)}`;
+    
+    return crypto.createHmac('sha1', signingKey).update(signatureBase).digest('base64');
+  },
+
+  // Authorization header for a request. `requestParams` are the query string and
+  // form-urlencoded body params, which must be signed; JSON and multipart/form-data
+  // bodies are never part of the signature. `extraOAuthParams` (oauth_callback,
+  // oauth_verifier) are for the sign-in flow, where there may be no token yet.
+  buildAuthHeader: (method, url, keys, requestParams = {}, extraOAuthParams = {}) => {
+    const oauthParams = {
+      oauth_consumer_key: keys.consumerKey,
+      ...(keys.accessToken && { oauth_token: keys.accessToken }),
+      oauth_signature_method: 'HMAC-SHA1',
+      oauth_timestamp: OAuth.getTimestamp(),
+      oauth_nonce: OAuth.getNonce(),
+      oauth_version: '1.0',
+      ...extraOAuthParams
+    };
+
+    const signature = OAuth.generateSignature(
+      method,
+      url,
+      { ...requestParams, ...oauthParams },
+      keys.consumerSecret,
+      keys.tokenSecret || ''
+    );
+
+    const fields = Object.keys(oauthParams).map(key => `${key}="${OAuth.percentEncode(oauthParams[key])}"`);
+    return `OAuth ${fields.join(',')},oauth_signature="${OAuth.percentEncode(signature)}"`;
+  },
+
+  // key=value&... encoded the same way the signature encodes it
+  encodeParams: (params) => {
+    return Object.keys(params)
+      .map(key => `${OAuth.percentEncode(key)}=${OAuth.percentEncode(String(params[key]))}`)
+      .join('&');
+  }
+};
+
+// --- API Clients ---
+
+// Error that carries the HTTP status so callers can record and branch on it
+function createApiError(service, response, errorText) {
+  const error = new Error(`${service} API Error: ${response.status} ${response.statusText} - ${errorText}`);
+  error.status = response.status;
+  return error;
+}
+
+// Base URLs for X. Point them at a local mock server during development;
+// LLM base URLs are set with the provider (see getLlmSettings).
+const DEFAULT_API_ENDPOINTS = {
+  twitterApi: 'https://api.twitter.com',
+  twitterUpload: 'https://upload.twitter.com'
+};
+
+function getApiEndpoints() {
+  const saved = store.get('apiEndpoints', {});
+  return Object.fromEntries(Object.entries(DEFAULT_API_ENDPOINTS).map(([name, url]) => [name, saved[name] || url]));
+}
+
+// e.g. apiUrl('twitterApi', '/2/tweets')
+function apiUrl(endpoint, pathname) {
+  return `${getApiEndpoints()[endpoint]}${pathname}`;
+}
+
+// Dry run: cycles generate, check and record as usual, but nothing is sent to X
+function isDryRun() {
+  return store.get('dryRun', false);
+}
+
+// 1. LLM Generation (retries on overload and network errors)
+// Shared by every provider below; returns the parsed JSON body.
+async function llmRequest(service, url, options) {
+  const maxRetries = 3;
+  let delay = 2000;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        ...options,
+        signal: AbortSignal.timeout(60000) // 60 second timeout (local models can be slow)
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        log.error(`${service} API Error (Attempt ${attempt}):`, errorText);
+        throw createApiError(service, response, errorText);
+      }
+
+      return await response.json();
+    } catch (error) {
+      log.error(`${service} Generate Error (Attempt ${attempt}):`, error);
+      // 503 / 529 mean the model is overloaded; other HTTP errors will not fix themselves
+      const retryable = !error.status || error.status === 503 || error.status === 529;
+      if (!retryable || attempt === maxRetries) throw error;
+
+      log.info(`${service} request failed. Retrying in ${delay}ms...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      delay *= 2; // Exponential backoff
+    }
+  }
+}
+
+// Each provider turns a prompt into { text, usage: { inputTokens, outputTokens } }.
+// `keyName` is the secureStorage key holding its API key. `modelsRequest` and
+// `modelIds` list the available models for the Settings "Verify" check.
+const LLM_PROVIDERS = {
+  gemini: {
+    label: 'Gemini',
+    keyName: 'geminiKey',
+    requiresKey: true,
+    defaultModel: 'gemini-2.5-flash',
+    defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    generate: async ({ apiKey, baseUrl, model, prompt }) => {
+      const data = await llmRequest('Gemini', `${baseUrl}/models/${encodeURIComponent(model)}:generateContent?key=${apiKey}`, {
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ contents: [{ parts: [{ text: prompt }] }] })
+      });
+      return {
+        text: data.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('').trim() || '',
+        usage: {
+          inputTokens: data.usageMetadata?.promptTokenCount ?? null,
+          outputTokens: data.usageMetadata?.candidatesTokenCount ?? null
+        }
+      };
+    },
+    modelsRequest: ({ apiKey, baseUrl }) => ({ url: `${baseUrl}/models?key=${apiKey}`, headers: {} }),
+    modelIds: (data) => (data.models || []).map(model => model.name.replace(/^models\//, ''))
+  },
+
+  // OpenAI and anything speaking its Chat Completions API (Ollama, llama.cpp, LM Studio, ...).
+  // Local servers usually need no key.
+  openai: {
+    label: 'OpenAI-compatible',
+    keyName: 'openaiKey',
+    requiresKey: false,
+    defaultModel: 'gpt-4o-mini',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    generate: async ({ apiKey, baseUrl, model, prompt }) => {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const data = await llmRequest('OpenAI', `${baseUrl}/chat/completions`, {
+        headers,
+        body: JSON.stringify({ model, messages: [{ role: 'user', content: prompt }] })
+      });
+      return {
+        text: data.choices?.[0]?.message?.content?.trim() || '',
+        usage: {
+          inputTokens: data.usage?.prompt_tokens ?? null,
+          outputTokens: data.usage?.completion_tokens ?? null
+        }
+      };
+    },
+    modelsRequest: ({ apiKey, baseUrl }) => ({ url: `${baseUrl}/models`, headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {} }),
+    modelIds: (data) => (data.data || []).map(model => model.id)
+  },
+
+  anthropic: {
+    label: 'Anthropic',
+    keyName: 'anthropicKey',
+    requiresKey: true,
+    defaultModel: 'claude-3-5-haiku-latest',
+    defaultBaseUrl: 'https://api.anthropic.com/v1',
+    generate: async ({ apiKey, baseUrl, model, prompt }) => {
+      const data = await llmRequest('Anthropic', `${baseUrl}/messages`, {
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01'
+        },
+        body: JSON.stringify({ model, max_tokens: 2048, messages: [{ role: 'user', content: prompt }] })
+      });
+      return {
+        text: (data.content || []).filter(block => block.type === 'text').map(block => block.text).join('').trim(),
+        usage: {
+          inputTokens: data.usage?.input_tokens ?? null,
+          outputTokens: data.usage?.output_tokens ?? null
+        }
+      };
+    },
+    modelsRequest: ({ apiKey, baseUrl }) => ({
+      url: `${baseUrl}/models?limit=1000`,
+      headers: { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' }
+    }),
+    modelIds: (data) => (data.data || []).map(model => model.id)
+  }
+};
+
+// Empty model / baseUrl mean "use the provider default"
+const DEFAULT_LLM_SETTINGS = { provider: 'gemini', model: '', baseUrl: '' };
+
+function getLlmSettings() {
+  const settings = { ...DEFAULT_LLM_SETTINGS, ...store.get('llm', {}) };
+  if (!LLM_PROVIDERS[settings.provider]) settings.provider = DEFAULT_LLM_SETTINGS.provider;
+  // A newly added provider can leave these null
+  settings.model = settings.model || '';
+  settings.baseUrl = settings.baseUrl || '';
+  return settings;
+}
+
+// Generate text with the provider chosen in Settings
+async function generateText(prompt) {
+  const settings = getLlmSettings();
+  const provider = LLM_PROVIDERS[settings.provider];
+  const apiKey = secureStorage.get(provider.keyName);
+  if (provider.requiresKey && !apiKey) throw new Error(`Missing ${provider.label} API Key`);
+
+  const model = settings.model.trim() || provider.defaultModel;
+  const baseUrl = (settings.baseUrl.trim() || provider.defaultBaseUrl).replace(/\/+$/, '');
+  const result = await provider.generate({ apiKey, baseUrl, model, prompt });
+  if (!result.text) throw new Error(`No text returned from ${provider.label}.`);
+
+  return { ...result, provider: settings.provider, model };
+}
+
+// Authorization header for X requests. OAuth 2.0 accounts carry a
+// `getBearerToken` function in their keys (see getTwitterKeys); everyone else
+// signs with the OAuth 1.0a user keys.
+async function buildTwitterAuth(method, url, keys, { forceRefresh = false } = {}) {
+  if (keys.getBearerToken) return `Bearer ${await keys.getBearerToken({ forceRefresh })}`;
+  return OAuth.buildAuthHeader(method, url, keys);
+}
+
+function hasTwitterAuth(keys) {
+  return !!keys.getBearerToken || !!(keys.consumerKey && keys.consumerSecret && keys.accessToken && keys.tokenSecret);
+}
+
+// 2. Twitter Post (OAuth 1.0a signed or OAuth 2.0 Bearer, retries on 5xx and network errors)
+// `replyTo` posts the tweet as a reply, which is how threads are chained.
+// `mediaIds` come from twitterUploadMedia(). `onRateLimit` receives the parsed
+// rate-limit headers of every response. A 429 is not retried: the error carries
+// `rateLimited` and `resetAt` so the caller can pause until the window resets.
+async function twitterPost({ keys, text, replyTo = null, mediaIds = [], onRateLimit = null }) {
+  const { consumerKey, consumerSecret, accessToken, tokenSecret } = keys;
+  
+  log.debug('Twitter Auth Debug:', {
+    method: keys.getBearerToken ? 'oauth2' : 'oauth1',
+    consumerKeyPrefix: consumerKey?.substring(0, 4),
+    accessTokenPrefix: accessToken?.substring(0, 4),
+    hasConsumerSecret: !!consumerSecret,
+    hasTokenSecret: !!tokenSecret
+  });
+  
+  if (!hasTwitterAuth(keys)) {
+    throw new Error('Missing Twitter Credentials');
+  }
+
+  const { weighted, valid } = TweetLength.count(text);
+  if (!valid) throw new Error(`Tweet is too long: ${weighted}/${TWEET_MAX_CHARS} characters as counted by X`);
+
+  const method = 'POST';
+  const url = apiUrl('twitterApi', '/2/tweets');
+  
+  const maxRetries = 3;
+  let delay = 2000;
+  let forceRefresh = false;
+  let refreshed = false; // OAuth 2.0: a 401 gets one retry with a freshly refreshed token
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      const authHeader = await buildTwitterAuth(method, url, keys, { forceRefresh });
+      forceRefresh = false;
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Authorization': authHeader,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          text,
+          ...(replyTo && { reply: { in_reply_to_tweet_id: replyTo } }),
+          ...(mediaIds.length > 0 && { media: { media_ids: mediaIds } })
+        }),
+        signal: AbortSignal.timeout(30000) // 30 second timeout
+      });
+
+      const rateLimit = RateLimits.parseHeaders(response.headers);
+      if (onRateLimit) onRateLimit(rateLimit);
+
+      if (!response.ok) {
+        // Try to get error details
+        const errorText = await response.text();
+        log.error(`Twitter API Error (Attempt ${attempt}):`, errorText);
+
+        if (response.status === 429) {
+          const error = createApiError('Twitter', response, errorText);
+          error.rateLimited = true;
+          error.resetAt = rateLimit.userRemaining24h === 0 ? rateLimit.userReset24h : rateLimit.reset;
+          throw error;
+        }
+        
+        // Expired or revoked OAuth 2.0 access token
+        if (response.status === 401 && keys.getBearerToken && !refreshed && attempt < maxRetries) {
+          log.info('Twitter API 401 with OAuth 2.0 token. Refreshing and retrying...');
+          refreshed = true;
+          forceRefresh = true;
+          continue;
+        }
+
+        // X's duplicate-content rejection is its own case so callers can skip rather than fail
+        if (isDuplicateContentError(response.status, errorText)) {
+          const error = createApiError('Twitter', response, errorText);
+          error.duplicate = true;
+          throw error;
+        }
+
+        // Don't retry on client errors (4xx)
+        if (response.status >= 400 && response.status < 500) {
+          throw createApiError('Twitter', response, errorText);
+        }
+
+        if (attempt < maxRetries) {
+          log.info(`Twitter API error ${response.status}. Retrying in ${delay}ms...`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+          delay *= 2;
+          continue;
+        }
+
+        throw createApiError('Twitter', response, errorText);
+      }
+
+      const data = await response.json();
+      return data;
+    } catch (error) {
+      log.error(`Twitter Post Error (Attempt ${attempt}):`, error);
+      if (attempt === maxRetries) throw error;
+      // Client errors (including 429) will not succeed on retry
+      if (error.status >= 400 && error.status < 500) throw error;
+      
+      log.info(`Network error or timeout. Retrying in ${delay}ms...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      delay *= 2;
+    }
+  }
+}
+
+// 3. Thread Post - chains parts as replies, resuming after the IDs in `tweetIds`.
+// On failure the error carries the IDs posted so far and the failed part index.
+// Media is attached to the first part.
+async function twitterPostThread({ keys, parts, tweetIds = [], mediaIds = [], onRateLimit = null }) {
+  const posted = [...tweetIds];
+
+  for (let index = posted.length; index < parts.length; index++) {
+    try {
+      const data = await twitterPost({
+        keys,
+        text: parts[index],
+        replyTo: posted[index - 1] || null,
+        mediaIds: index === 0 ? mediaIds : [],
+        onRateLimit
+      });
+      posted.push(data.data.id);
+      log.info(`Thread part ${index + 1}/${parts.length} posted: ${data.data.id}`);
+    } catch (error) {
+      error.tweetIds = posted;
+      error.failedPart = index;
+      throw error;
+    }
+  }
+
+  return posted;
+}
+
+// 4. Media Upload - chunked INIT/APPEND/FINALIZE(/STATUS) on the v1.1 upload endpoint
+const MEDIA_UPLOAD_PATH = '/1.1/media/upload.json';
+const MEDIA_METADATA_PATH = '/1.1/media/metadata/create.json';
+const MEDIA_CHUNK_BYTES = 4 * 1024 * 1024; // Upload limit is 5 MB per APPEND
+const MEDIA_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000; // Give up on GIF/video processing after 5 minutes
+
+const MEDIA_TYPES = {
+  '.jpg': { mimeType: 'image/jpeg', category: 'tweet_image', maxBytes: 5 * 1024 * 1024 },
+  '.jpeg': { mimeType: 'image/jpeg', category: 'tweet_image', maxBytes: 5 * 1024 * 1024 },
+  '.png': { mimeType: 'image/png', category: 'tweet_image', maxBytes: 5 * 1024 * 1024 },
+  '.webp': { mimeType: 'image/webp', category: 'tweet_image', maxBytes: 5 * 1024 * 1024 },
+  '.gif': { mimeType: 'image/gif', category: 'tweet_gif', maxBytes: 15 * 1024 * 1024 },
+  '.mp4': { mimeType: 'video/mp4', category: 'tweet_video', maxBytes: 512 * 1024 * 1024 },
+  '.mov': { mimeType: 'video/quicktime', category: 'tweet_video', maxBytes: 512 * 1024 * 1024 }
+};
+
+// Signed request for the form-urlencoded commands (INIT, FINALIZE, STATUS)
+async function twitterMediaCommand({ keys, params, method = 'POST' }) {
+  const encoded = OAuth.encodeParams(params);
+  const uploadUrl = apiUrl('twitterUpload', MEDIA_UPLOAD_PATH);
+  const response = await fetch(method === 'GET' ? `${uploadUrl}?${encoded}` : uploadUrl, {
+    method,
+    headers: {
+      'Authorization': OAuth.buildAuthHeader(method, uploadUrl, keys, params),
+      ...(method === 'POST' && { 'Content-Type': 'application/x-www-form-urlencoded' })
+    },
+    body: method === 'POST' ? encoded : undefined,
+    signal: AbortSignal.timeout(30000) // 30 second timeout
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    log.error(`Twitter Media ${params.command} Error:`, errorText);
+    throw createApiError('Twitter Media', response, errorText);
+  }
+
+  return response.status === 204 ? {} : response.json();
+}
+
+async function twitterUploadMedia({ keys, filePath, altText = '' }) {
+  const type = MEDIA_TYPES[path.extname(filePath).toLowerCase()];
+  if (!type) throw new Error(`Unsupported media type: ${path.basename(filePath)}`);
+
+  const { size } = await fs.promises.stat(filePath);
+  if (size > type.maxBytes) {
+    throw new Error(`${path.basename(filePath)} is too large (${Math.round(size / 1024 / 1024)} MB, max ${type.maxBytes / 1024 / 1024} MB)`);
+  }
+
+  // INIT
+  const init = await twitterMediaCommand({
+    keys,
+    params: { command: 'INIT', total_bytes: size, media_type: type.mimeType, media_category: type.category }
+  });
+  const mediaId = init.media_id_string;
+  log.info(`Media INIT ${path.basename(filePath)} -> ${mediaId} (${size} bytes)`);
+
+  // APPEND - multipart/form-data, so only the oauth_* params are signed
+  const uploadUrl = apiUrl('twitterUpload', MEDIA_UPLOAD_PATH);
+  const file = await fs.promises.open(filePath, 'r');
+  try {
+    for (let segment = 0; segment * MEDIA_CHUNK_BYTES < size; segment++) {
+      const chunk = Buffer.alloc(Math.min(MEDIA_CHUNK_BYTES, size - segment * MEDIA_CHUNK_BYTES));
+      await file.read(chunk, 0, chunk.length, segment * MEDIA_CHUNK_BYTES);
+
+      const form = new FormData();
+      form.append('command', 'APPEND');
+      form.append('media_id', mediaId);
+      form.append('segment_index', String(segment));
+      form.append('media', new Blob([chunk]), path.basename(filePath));
+
+      const response = await fetch(uploadUrl, {
+        method: 'POST',
+        headers: { 'Authorization': OAuth.buildAuthHeader('POST', uploadUrl, keys) },
+        body: form,
+        signal: AbortSignal.timeout(120000) // 2 minute timeout per chunk
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        log.error(`Twitter Media APPEND Error (segment ${segment}):`, errorText);
+        throw createApiError('Twitter Media', response, errorText);
+      }
+    }
+  } finally {
+    await file.close();
+  }
+
+  // FINALIZE, then poll STATUS while async processing (GIF/video) runs
+  const finalized = await twitterMediaCommand({ keys, params: { command: 'FINALIZE', media_id: mediaId } });
+  let processing = finalized.processing_info;
+  const deadline = Date.now() + MEDIA_PROCESSING_TIMEOUT_MS;
+  while (processing && (processing.state === 'pending' || processing.state === 'in_progress')) {
+    const wait = (processing.check_after_secs || 1) * 1000;
+    if (Date.now() + wait > deadline) {
+      throw new Error(`Media processing timed out after ${MEDIA_PROCESSING_TIMEOUT_MS / 60000} minutes (${path.basename(filePath)})`);
+    }
+    log.info(`Media ${mediaId} processing (${processing.progress_percent || 0}%). Checking again in ${wait}ms...`);
+    await new Promise(resolve => setTimeout(resolve, wait));
+
+    const status = await twitterMediaCommand({ keys, method: 'GET', params: { command: 'STATUS', media_id: mediaId } });
+    processing = status.processing_info;
+  }
+  if (processing && processing.state === 'failed') {
+    throw new Error(`Media processing failed: ${processing.error?.message || 'unknown error'}`);
+  }
+
+  // Alt text - JSON body, so only the oauth_* params are signed
+  if (altText && altText.trim()) {
+    const metadataUrl = apiUrl('twitterUpload', MEDIA_METADATA_PATH);
+    const response = await fetch(metadataUrl, {
+      method: 'POST',
+      headers: {
+        'Authorization': OAuth.buildAuthHeader('POST', metadataUrl, keys),
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ media_id: mediaId, alt_text: { text: altText.trim().slice(0, 1000) } }),
+      signal: AbortSignal.timeout(30000)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      log.error('Twitter Media alt text Error:', errorText);
+      throw createApiError('Twitter Media', response, errorText);
+    }
+  }
+
+  log.info(`Media ${mediaId} ready`);
+  return mediaId;
+}
+
+// 5. Sign-in (OAuth 1.0a PIN flow): request_token -> the user authorizes the app
+// on X and gets a PIN -> access_token. Both answer with a form-encoded body.
+async function twitterOAuthRequest(pathname, keys, extraOAuthParams) {
+  const url = apiUrl('twitterApi', pathname);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Authorization': OAuth.buildAuthHeader('POST', url, keys, {}, extraOAuthParams) },
+    signal: AbortSignal.timeout(30000) // 30 second timeout
+  });
+
+  const body = await response.text();
+  if (!response.ok) {
+    log.error(`Twitter OAuth ${pathname} Error:`, body);
+    throw createApiError('Twitter OAuth', response, body);
+  }
+  return Object.fromEntries(new URLSearchParams(body));
+}
+
+// 6. Authenticated user (GET /2/users/me). twitterFetchMe() returns the raw
+// response so connection checks can read its headers; twitterGetMe() -> { id, name, username }
+async function twitterFetchMe(keys) {
+  const url = apiUrl('twitterApi', '/2/users/me');
+  return fetch(url, {
+    headers: { 'Authorization': await buildTwitterAuth('GET', url, keys) },
+    signal: AbortSignal.timeout(30000) // 30 second timeout
+  });
+}
+
+async function twitterGetMe(keys) {
+  const response = await twitterFetchMe(keys);
+  const body = await response.text();
+  if (!response.ok) {
+    log.error('Twitter users/me Error:', body);
+    throw createApiError('Twitter', response, body);
+  }
+  return JSON.parse(body).data;
+}
+
+// Attachments are { path, altText }: up to 4 images, or a single GIF or video
+function validateMedia(media = []) {
+  if (media.length === 0) return;
+
+  const types = media.map(item => MEDIA_TYPES[path.extname(item.path).toLowerCase()]);
+  if (types.some(type => !type)) throw new Error('Unsupported media type (use JPG, PNG, WEBP, GIF, MP4 or MOV)');
+
+  const images = types.filter(type => type.category === 'tweet_image').length;
+  if (images !== media.length && media.length > 1) throw new Error('A GIF or video must be the only attachment');
+  if (images > 4) throw new Error('Up to 4 images per post');
+}
+
+// --- OAuth 2.0 (Authorization Code + PKCE) ---
+// Alternative to OAuth 1.0a user keys. Sign-in opens X in the browser, which
+// redirects back to a short-lived listener on 127.0.0.1 (this exact URL must be
+// registered as a callback in the X app). Access tokens last about 2 hours and
+// are refreshed with the refresh token, which X replaces on every refresh.
+
+const OAUTH2_AUTHORIZE_URL = 'https://twitter.com/i/oauth2/authorize';
+const OAUTH2_REDIRECT_PORT = 3918;
+const OAUTH2_REDIRECT_URI = `http://127.0.0.1:${OAUTH2_REDIRECT_PORT}/callback`;
+const OAUTH2_SCOPES = ['tweet.read', 'tweet.write', 'users.read', 'offline.access'];
+const OAUTH2_SIGNIN_TIMEOUT_MS = 5 * 60 * 1000;
+const OAUTH2_REFRESH_MARGIN_MS = 60 * 1000; // Refresh this long before expiry
+
+const OAuth2 = {
+  pendingServer: null,
+  refreshing: new Map(), // accountId -> in-flight refresh, so parallel posts share one
+
+  base64Url: (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, ''),
+
+  createPkce: () => {
+    const verifier = OAuth2.base64Url(crypto.randomBytes(32));
+    const challenge = OAuth2.base64Url(crypto.createHash('sha256').update(verifier).digest());
+    return { verifier, challenge };
+  },
+
+  getExpiresAt: (accountId) => store.get(`credentials.${accountId}.oauth2ExpiresAt`, 0),
+
+  saveTokens: (accountId, { access_token: accessToken, refresh_token: refreshToken, expires_in: expiresIn, scope }) => {
+    secureStorage.set(`credentials.${accountId}.twitterOAuth2AccessToken`, accessToken);
+    if (refreshToken) secureStorage.set(`credentials.${accountId}.twitterRefreshToken`, refreshToken);
+    store.set(`credentials.${accountId}.oauth2ExpiresAt`, Date.now() + (expiresIn || 7200) * 1000);
+    if (scope) store.set(`credentials.${accountId}.oauth2Scope`, scope);
+  },
+
+  // POST /2/oauth2/token; confidential clients authenticate with Basic auth
+  tokenRequest: async (accountId, params) => {
+    const { twitterClientId, twitterClientSecret } = accountProfiles.getCredentials(accountId);
+    if (!twitterClientId) throw new Error('Missing OAuth 2.0 Client ID');
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (twitterClientSecret) {
+      const basic = Buffer.from(`${encodeURIComponent(twitterClientId)}:${encodeURIComponent(twitterClientSecret)}`).toString('base64');
+      headers.Authorization = `Basic ${basic}`;
+    }
+
+    const response = await fetch(apiUrl('twitterApi', '/2/oauth2/token'), {
+      method: 'POST',
+      headers,
+      body: new URLSearchParams({ ...params, client_id: twitterClientId }).toString(),
+      signal: AbortSignal.timeout(30000) // 30 second timeout
+    });
+
+    const body = await response.text();
+    if (!response.ok) {
+      log.error('Twitter OAuth2 token Error:', body);
+      throw createApiError('Twitter OAuth2', response, body);
+    }
+    const tokens = JSON.parse(body);
+    OAuth2.saveTokens(accountId, tokens);
+    return tokens;
+  },
+
+  refresh: (accountId) => {
+    if (OAuth2.refreshing.has(accountId)) return OAuth2.refreshing.get(accountId);
+
+    const refreshToken = secureStorage.get(`credentials.${accountId}.twitterRefreshToken`);
+    const refreshing = (async () => {
+      if (!refreshToken) throw new Error('Not signed in with OAuth 2.0. Connect the account in Settings.');
+      try {
+        await OAuth2.tokenRequest(accountId, { grant_type: 'refresh_token', refresh_token: refreshToken });
+        log.info(`OAuth 2.0 access token refreshed for account ${accountId}`);
+      } catch (error) {
+        if (error.status === 400 || error.status === 401) {
+          emitLog('Twitter', 'OAuth 2.0 sign-in expired or was revoked. Connect the account again in Settings.', 'error', accountId);
+        }
+        throw error;
+      }
+    })().finally(() => OAuth2.refreshing.delete(accountId));
+
+    OAuth2.refreshing.set(accountId, refreshing);
+    return refreshing;
+  },
+
+  // A valid access token, refreshed first when it is about to expire (or `forceRefresh`)
+  getAccessToken: async (accountId, { forceRefresh = false } = {}) => {
+    if (forceRefresh || OAuth2.getExpiresAt(accountId) - OAUTH2_REFRESH_MARGIN_MS < Date.now()) {
+      await OAuth2.refresh(accountId);
+    }
+    return secureStorage.get(`credentials.${accountId}.twitterOAuth2AccessToken`);
+  },
+
+  // Resolves with the ?code= X redirects back with. `onListening` runs once the
+  // listener is up, so the browser is only opened when the redirect can land.
+  waitForRedirect: (state, onListening) => new Promise((resolve, reject) => {
+    if (OAuth2.pendingServer) OAuth2.pendingServer.close();
+
+    let timer = null;
+    const server = http.createServer((req, res) => {
+      const url = new URL(req.url, OAUTH2_REDIRECT_URI);
+      if (url.pathname !== '/callback') {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+
+      const error = url.searchParams.get('error');
+      const ok = !error && url.searchParams.get('state') === state && url.searchParams.get('code');
+      res.writeHead(ok ? 200 : 400, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(ok
+        ? '<p>Signed in. You can close this tab and return to Twitter Automator.</p>'
+        : '<p>Sign-in failed. Return to Twitter Automator and try again.</p>');
+
+      finish(ok ? null : new Error(error ? `X returned "${error}"` : 'Sign-in response did not match this request'), url.searchParams.get('code'));
+    });
+
+    const finish = (error, code) => {
+      clearTimeout(timer);
+      server.close();
+      if (OAuth2.pendingServer === server) OAuth2.pendingServer = null;
+      if (error) reject(error);
+      else resolve(code);
+    };
+
+    server.on('error', (error) => finish(new Error(`Could not listen on ${OAUTH2_REDIRECT_URI}: ${error.message}`)));
+    server.listen(OAUTH2_REDIRECT_PORT, '127.0.0.1', () => {
+      timer = setTimeout(() => finish(new Error('Timed out waiting for X sign-in')), OAUTH2_SIGNIN_TIMEOUT_MS);
+      Promise.resolve(onListening()).catch(finish);
+    });
+    OAuth2.pendingServer = server;
+  }),
+
+  // Full browser sign-in; stores the tokens and returns the X user
+  signIn: async (accountId) => {
+    const { twitterClientId } = accountProfiles.getCredentials(accountId);
+    if (!twitterClientId) throw new Error('Enter the OAuth 2.0 Client ID first');
+
+    const { verifier, challenge } = OAuth2.createPkce();
+    const state = OAuth2.base64Url(crypto.randomBytes(16));
+    const authorizeUrl = `${OAUTH2_AUTHORIZE_URL}?${new URLSearchParams({
+      response_type: 'code',
+      client_id: twitterClientId,
+      redirect_uri: OAUTH2_REDIRECT_URI,
+      scope: OAUTH2_SCOPES.join(' '),
+      state,
+      code_challenge: challenge,
+      code_challenge_method: 'S256'
+    })}`;
+
+    const code = await OAuth2.waitForRedirect(state, () => shell.openExternal(authorizeUrl));
+    await OAuth2.tokenRequest(accountId, {
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: OAUTH2_REDIRECT_URI,
+      code_verifier: verifier
+    });
+
+    return twitterGetMe({ getBearerToken: (options) => OAuth2.getAccessToken(accountId, options) });
+  }
+};
+
+// --- Connection Checks ---
+// Settings "Verify" buttons. Each check resolves with
+// { ok, summary, details: [], problems: [] } instead of throwing, so every
+// failure mode comes back with a readable diagnosis.
+
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000; // X rejects OAuth 1.0a timestamps that are too far off
+
+const ConnectionCheck = {
+  result: (ok, summary, details = [], problems = []) => ({ ok, summary, details, problems }),
+
+  // Difference between X's clock (Date header) and ours, in ms
+  clockSkew: (response) => {
+    const serverTime = Date.parse(response.headers.get('date') || '');
+    return isNaN(serverTime) ? null : Date.now() - serverTime;
+  },
+
+  // GET /2/users/me with the account's keys (or unsaved `credentials` from the form)
+  twitter: async (accountId, credentials = null) => {
+    const account = accountProfiles.get(accountId);
+    if (!account) throw new Error('Account not found');
+
+    // Unsaved keys typed in Settings, with blank fields falling back to the saved ones
+    const saved = getTwitterKeys(accountId);
+    const keys = credentials && account.authMethod !== 'oauth2'
+      ? {
+        consumerKey: (credentials.twitterConsumerKey || '').trim() || saved.consumerKey,
+        consumerSecret: (credentials.twitterConsumerSecret || '').trim() || saved.consumerSecret,
+        accessToken: (credentials.twitterAccessToken || '').trim() || saved.accessToken,
+        tokenSecret: (credentials.twitterTokenSecret || '').trim() || saved.tokenSecret
+      }
+      : saved;
+    if (!hasTwitterAuth(keys)) {
+      return ConnectionCheck.result(false, 'Missing credentials', [], [
+        account.authMethod === 'oauth2' ? 'Connect the account with OAuth 2.0 first.' : 'Fill in all four keys (API Key, API Secret, Access Token, Token Secret).'
+      ]);
+    }
+
+    // Failures are labelled with the sign-in method actually checked
+    const method = keys.getBearerToken ? 'OAuth 2.0' : 'OAuth 1.0a';
+    let response;
+    try {
+      response = await twitterFetchMe(keys);
+    } catch (error) {
+      // Only an OAuth 2.0 token refresh answers with a status before the request is sent
+      if (error.status && keys.getBearerToken) {
+        return ConnectionCheck.result(false, 'OAuth 2.0 sign-in is no longer valid', [], ['Connect the account with X again.']);
+      }
+      if (error.status) {
+        return ConnectionCheck.result(false, `X rejected the ${method} request (${error.status})`, [], [error.message]);
+      }
+      return ConnectionCheck.result(false, `Could not reach X (${method})`, [], [`${error.message}. Check your connection and the X API base URL.`]);
+    }
+
+    const body = await response.text();
+    const skew = ConnectionCheck.clockSkew(response);
+    const skewProblem = skew !== null && Math.abs(skew) > MAX_CLOCK_SKEW_MS
+      ? `Your clock is ${Math.round(Math.abs(skew) / 60000)} min ${skew > 0 ? 'ahead of' : 'behind'} X's. OAuth 1.0a signatures carry a timestamp, so sync the system clock.`
+      : null;
+
+    if (!response.ok) {
+      const problems = [];
+      if (response.status === 401) {
+        if (/\b135\b|timestamp/i.test(body) || skewProblem) {
+          problems.push(skewProblem || 'X rejected the request timestamp (oauth_timestamp). Sync the system clock.');
+        } else if (account.authMethod === 'oauth2' && !credentials) {
+          problems.push('The OAuth 2.0 token was rejected. Connect the account again.');
+        } else {
+          problems.push('Invalid or revoked keys. Check the API Key and Secret, and that the Access Token and Secret belong to the same app. Regenerate them if permissions changed.');
+        }
+      } else if (response.status === 403) {
+        problems.push(/client-not-enrolled|project/i.test(body)
+          ? 'The app is not attached to a Project in the developer portal, so it cannot use the v2 API.'
+          : 'X refused access for this app (403). Check its access level and status in the developer portal.');
+      } else if (response.status === 429) {
+        problems.push('Rate limited by X. Try again in a few minutes.');
+      } else {
+        problems.push(`X answered ${response.status} ${response.statusText}.`);
+      }
+      log.error(`Twitter verify failed (${response.status}):`, body);
+      return ConnectionCheck.result(false, `X rejected the credentials (${response.status})`, [], problems);
+    }
+
+    let user;
+    try {
+      user = JSON.parse(body).data;
+    } catch (error) {
+      return ConnectionCheck.result(false, `Unexpected answer from X (${method})`, [], [`${error.message}. Check the X API base URL.`]);
+    }
+    const details = [`Signed in as @${user.username} (${user.name})`];
+    const problems = [];
+
+    if (keys.getBearerToken) {
+      const scope = store.get(`credentials.${accountId}.oauth2Scope`, '');
+      details.push(`Method: OAuth 2.0${scope ? ` (scopes: ${scope})` : ''}`);
+      if (scope && !scope.split(' ').includes('tweet.write')) problems.push('The token cannot post: the tweet.write scope was not granted. Connect the account again.');
+      if (scope && !scope.split(' ').includes('offline.access')) problems.push('No offline.access scope, so the token cannot be refreshed and will expire in about 2 hours.');
+    } else {
+      // Only OAuth 1.0a responses carry the app's permission level
+      const accessLevel = response.headers.get('x-access-level');
+      details.push(`App permissions: ${accessLevel || 'unknown'}`);
+      if (accessLevel === 'read') {
+        problems.push('The app is read-only, so posts will fail with 403. Set "Read and write" under User authentication settings, then regenerate the Access Token and Secret.');
+      }
+    }
+    if (skewProblem) problems.push(skewProblem);
+
+    if (!credentials && account.screenName !== user.username) {
+      accountProfiles.update(accountId, { screenName: user.username, twitterUserId: user.id });
+    }
+    return ConnectionCheck.result(problems.length === 0, problems.length === 0 ? `Connected as @${user.username}` : `Connected as @${user.username}, with problems`, details, problems);
+  },
+
+  // Lists the provider's models with the given (or saved) key and base URL
+  llm: async ({ provider: providerId, apiKey, model, baseUrl } = {}) => {
+    const settings = getLlmSettings();
+    const id = providerId || settings.provider;
+    const provider = LLM_PROVIDERS[id];
+    if (!provider) throw new Error(`Unknown LLM provider: ${id}`);
+
+    const key = (apiKey !== undefined ? apiKey : secureStorage.get(provider.keyName)).trim();
+    if (provider.requiresKey && !key) return ConnectionCheck.result(false, `Missing ${provider.label} API key`);
+
+    const base = (String(baseUrl ?? settings.baseUrl).trim() || provider.defaultBaseUrl).replace(/\/+$/, '');
+    const modelName = String(model ?? settings.model).trim() || provider.defaultModel;
+    const request = provider.modelsRequest({ apiKey: key, baseUrl: base });
+
+    let response;
+    try {
+      response = await fetch(request.url, { headers: request.headers, signal: AbortSignal.timeout(15000) });
+    } catch (error) {
+      return ConnectionCheck.result(false, `Could not reach ${provider.label}`, [], [`${error.message}. Check the base URL (${base}) and your connection.`]);
+    }
+
+    if (!response.ok) {
+      const body = await response.text();
+      log.error(`${provider.label} verify failed (${response.status}):`, body);
+      let problem = `${provider.label} answered ${response.status} ${response.statusText}.`;
+      if (response.status === 401 || response.status === 403 || /API_KEY_INVALID|API key not valid/i.test(body)) {
+        problem = `The ${provider.label} API key was rejected. Check for typos or create a new key.`;
+      } else if (response.status === 404) {
+        problem = `No models endpoint at ${base}. Check the base URL.`;
+      } else if (response.status === 429) {
+        problem = 'Rate limited or out of quota.';
+      }
+      return ConnectionCheck.result(false, `${provider.label} rejected the request (${response.status})`, [], [problem]);
+    }
+
+    let ids;
+    try {
+      ids = provider.modelIds(await response.json());
+    } catch (error) {
+      return ConnectionCheck.result(false, `Unexpected answer from ${provider.label}`, [], [`${error.message}. Check the base URL (${base}).`]);
+    }
+    const details = [`${ids.length} model(s) available`];
+    const problems = [];
+    if (ids.length > 0 && !ids.includes(modelName)) {
+      problems.push(`Model "${modelName}" is not in the list. Check the model name.`);
+    } else if (ids.includes(modelName)) {
+      details.push(`Model "${modelName}" is available`);
+    }
+    return ConnectionCheck.result(problems.length === 0, `${provider.label} key works`, details, problems);
+  }
+};
+
+// --- IPC Handlers ---
+
+// 1. LLM Generation Handler (normalized { text, usage, provider, model })
+ipcMain.handle('llm-generate', async (event, prompt) => generateText(prompt));
+
+// --- Secure Storage Handlers ---
+
+// 1. Get Config - Decrypt sensitive data using OS-level encryption
+// (Twitter credentials are per account, see the Accounts handlers below)
+ipcMain.handle('store-get-config', async () => {
+  return {
+    geminiKey: secureStorage.get('geminiKey'),
+    openaiKey: secureStorage.get('openaiKey'),
+    anthropicKey: secureStorage.get('anthropicKey'),
+    llm: getLlmSettings(),
+    shortenAttempts: getShortenAttempts(),
+    duplicates: getDuplicateSettings(),
+    dryRun: isDryRun(),
+    notifications: getNotificationSettings(),
+    // Blank means the default endpoint
+    apiEndpoints: { twitterApi: '', twitterUpload: '', ...store.get('apiEndpoints', {}) },
+    controlApi: { ...getControlApiSettings(), token: controlApi.getToken() }
+  };
+});
+
+// 2. Save Config - Encrypt sensitive data using OS-level encryption
+ipcMain.handle('store-save-config', async (event, config) => {
+  secureStorage.set('geminiKey', config.geminiKey || '');
+  secureStorage.set('openaiKey', config.openaiKey || '');
+  secureStorage.set('anthropicKey', config.anthropicKey || '');
+
+  if (config.llm) {
+    const { provider, model, baseUrl } = { ...DEFAULT_LLM_SETTINGS, ...config.llm };
+    if (!LLM_PROVIDERS[provider]) throw new Error(`Unknown LLM provider: ${provider}`);
+    store.set('llm', { provider, model: String(model || '').trim(), baseUrl: String(baseUrl || '').trim() });
+  }
+  if (config.shortenAttempts !== undefined) {
+    store.set('shortenAttempts', Math.min(Math.max(parseInt(config.shortenAttempts, 10) || 0, 0), 5));
+  }
+  if (config.duplicates) {
+    const { enabled, threshold, lookback, maxRegenerations } = { ...DEFAULT_DUPLICATE_SETTINGS, ...config.duplicates };
+    store.set('duplicateSettings', {
+      enabled: !!enabled,
+      threshold: Math.min(Math.max(parseFloat(threshold) || DEFAULT_DUPLICATE_SETTINGS.threshold, 0.1), 1),
+      lookback: Math.min(Math.max(parseInt(lookback, 10) || DEFAULT_DUPLICATE_SETTINGS.lookback, 1), 500),
+      maxRegenerations: Math.min(Math.max(parseInt(maxRegenerations, 10) || 0, 0), 5)
+    });
+  }
+  if (config.apiEndpoints) {
+    const endpoints = {};
+    Object.keys(DEFAULT_API_ENDPOINTS).forEach(name => {
+      const url = (config.apiEndpoints[name] || '').trim().replace(/\/+$/, '');
+      let valid = !url;
+      try {
+        valid = valid || ['http:', 'https:'].includes(new URL(url).protocol);
+      } catch (error) {
+        valid = false;
+      }
+      if (!valid) throw new Error(`Invalid URL for ${name}: ${url}`);
+      endpoints[name] = url;
+    });
+    store.set('apiEndpoints', endpoints);
+  }
+  if (config.notifications) {
+    const { enabled, events, quietHours } = config.notifications;
+    const validTime = (time, fallback) => (/^([01]\d|2[0-3]):[0-5]\d$/.test(time) ? time : fallback);
+    store.set('notifications', {
+      enabled: !!enabled,
+      events: Object.fromEntries(NOTIFICATION_CATEGORIES.map(category => [category, !!(events && events[category])])),
+      quietHours: {
+        enabled: !!(quietHours && quietHours.enabled),
+        start: validTime(quietHours && quietHours.start, DEFAULT_NOTIFICATION_SETTINGS.quietHours.start),
+        end: validTime(quietHours && quietHours.end, DEFAULT_NOTIFICATION_SETTINGS.quietHours.end)
+      }
+    });
+  }
+  if (config.dryRun !== undefined && !!config.dryRun !== isDryRun()) {
+    store.set('dryRun', !!config.dryRun);
+    emitLog('System', config.dryRun
+      ? 'Dry run ON: cycles run as usual, but nothing is posted to X. History marks these as simulated.'
+      : 'Dry run OFF: posts go to X again.', 'warning');
+  }
+  if (config.controlApi) {
+    const port = parseInt(config.controlApi.port, 10);
+    const saved = {
+      enabled: !!config.controlApi.enabled,
+      port: port >= 1024 && port <= 65535 ? port : DEFAULT_CONTROL_API.port
+    };
+    const previous = getControlApiSettings();
+    store.set('controlApi', saved);
+    if (saved.enabled !== previous.enabled || saved.port !== previous.port) controlApi.apply();
+  }
+  return true;
+});
+
+// Settings "Verify" checks ({ ok, summary, details, problems })
+ipcMain.handle('llm-verify', async (event, settings) => ConnectionCheck.llm(settings));
+
+ipcMain.handle('accounts-verify', async (event, { accountId, credentials }) => ConnectionCheck.twitter(accountId, credentials));
+
+// LLM providers for the Settings picker
+ipcMain.handle('llm-providers', async () => {
+  return Object.entries(LLM_PROVIDERS).map(([id, provider]) => ({
+    id,
+    label: provider.label,
+    requiresKey: provider.requiresKey,
+    keyName: provider.keyName,
+    defaultModel: provider.defaultModel,
+    defaultBaseUrl: provider.defaultBaseUrl
+  }));
+});
+
+// 3. Get an account's Topics
+ipcMain.handle('store-get-topics', async (event, accountId) => {
+  return accountProfiles.get(accountId)?.topics || [];
+});
+
+// 4. Save an account's Topics (returns the normalized list, with ids for new topics)
+// Prompt overrides are keyed by label, so renamed topics take theirs along
+ipcMain.handle('store-save-topics', async (event, { accountId, topics }) => {
+  const previous = accountProfiles.get(accountId)?.topics || [];
+  const saved = accountProfiles.update(accountId, { topics: Topics.normalizeList(topics) }).topics;
+  saved.forEach(topic => {
+    const before = previous.find(candidate => candidate.id === topic.id);
+    if (before && before.label !== topic.label) PromptTemplates.renameTopic(before.label, topic.label);
+  });
+  return saved;
+});
+
+// 5. Get an account's Schedule
+ipcMain.handle('store-get-schedule', async (event, accountId) => {
+  return getSchedule(accountId);
+});
+
+// 6. Save an account's Schedule (validated; a running autopilot picks it up immediately)
+ipcMain.handle('store-save-schedule', async (event, { accountId, schedule: input }) => {
+  try {
+    const schedule = Schedules.normalize(input);
+    const account = accountProfiles.update(accountId, { schedule });
+    log.info(`Schedule saved for ${account.name}: ${Schedules.describe(schedule)}`);
+    getScheduler(accountId).reschedule();
+    return { success: true, schedule };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// 7. Preview upcoming slots for an unsaved schedule
+ipcMain.handle('schedule-preview', async (event, input) => {
+  try {
+    const schedule = Schedules.normalize(input);
+    return { success: true, description: Schedules.describe(schedule), slots: Schedules.upcomingSlots(schedule) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// 8. Get Auto-Launch Preference
+ipcMain.handle('store-get-autolaunch', async () => {
+  return store.get('autoLaunch', false);
+});
+
+// 9. Set Auto-Launch Preference
+ipcMain.handle('store-set-autolaunch', async (event, enabled) => {
+  store.set('autoLaunch', enabled);
+  
+  // Update OS login item settings
+  app.setLoginItemSettings({
+    openAtLogin: enabled,
+    openAsHidden: false, // Show window on startup
+    args: []
+  });
+  
+  log.info(`Auto-launch ${enabled ? 'enabled' : 'disabled'}`);
+  return true;
+});
+
+// --- Schedules ---
+// Slot maths lives in automation.js; this is the per-account glue.
+
+const MAX_TIMER_MS = 2147483647; // setTimeout overflows beyond ~24.8 days
+
+function getSchedule(accountId) {
+  try {
+    return Schedules.normalize(accountProfiles.get(accountId)?.schedule || {});
+  } catch (error) {
+    log.warn(`Stored schedule is invalid, using default: ${error.message}`);
+    return { ...DEFAULT_SCHEDULE };
+  }
+}
+
+// --- Accounts ---
+// Each X account profile has its own topics, persona and schedule. Its Twitter
+// credentials live in secureStorage under credentials.<accountId>.<field>.
+
+const CREDENTIAL_FIELDS = ['twitterConsumerKey', 'twitterConsumerSecret', 'twitterAccessToken', 'twitterTokenSecret'];
+// OAuth 2.0 app settings; its tokens are kept by the OAuth2 helper and never sent to the renderer
+const OAUTH2_CLIENT_FIELDS = ['twitterClientId', 'twitterClientSecret'];
+const AUTH_METHODS = ['oauth1', 'oauth2'];
+
+const accountProfiles = {
+  list: () => store.get('accounts', []),
+
+  get: (id) => accountProfiles.list().find(account => account.id === id) || null,
+
+  create: ({ name }) => {
+    const account = {
+      id: crypto.randomUUID(),
+      name: name || `Account ${accountProfiles.list().length + 1}`,
+      persona: '',
+      topics: [],
+      schedule: { ...DEFAULT_SCHEDULE },
+      dailyCap: 0, // Posts per rolling 24 hours (0 = no cap)
+      hourlyCap: 0,
+      authMethod: 'oauth1' // oauth1 (user keys) | oauth2 (PKCE sign-in)
+    };
+    store.set('accounts', [...accountProfiles.list(), account]);
+    return account;
+  },
+
+  update: (id, changes) => {
+    const accounts = accountProfiles.list();
+    const index = accounts.findIndex(account => account.id === id);
+    if (index === -1) throw new Error('Account not found');
+
+    accounts[index] = { ...accounts[index], ...changes, id };
+    store.set('accounts', accounts);
+    return accounts[index];
+  },
+
+  remove: (id) => {
+    store.set('accounts', accountProfiles.list().filter(account => account.id !== id));
+    store.delete(`credentials.${id}`);
+    store.delete(`rateLimits.${id}`);
+  },
+
+  getCredentials: (id) => {
+    const credentials = {};
+    [...CREDENTIAL_FIELDS, ...OAUTH2_CLIENT_FIELDS].forEach(field => {
+      credentials[field] = secureStorage.get(`credentials.${id}.${field}`);
+    });
+    return credentials;
+  },
+
+  setCredentials: (id, credentials) => {
+    [...CREDENTIAL_FIELDS, ...OAUTH2_CLIENT_FIELDS].forEach(field => {
+      if (credentials[field] !== undefined) secureStorage.set(`credentials.${id}.${field}`, credentials[field] || '');
+    });
+  },
+
+  // Shape sent to the renderer (never includes secrets). `savedCredentials`
+  // names the fields that are set, so Settings can show them without their values.
+  toPublic: (account) => ({
+    ...account,
+    hasCredentials: account.authMethod === 'oauth2'
+      ? !!store.get(`credentials.${account.id}.twitterRefreshToken`)
+      : CREDENTIAL_FIELDS.every(field => !!store.get(`credentials.${account.id}.${field}`)),
+    savedCredentials: [...CREDENTIAL_FIELDS, ...OAUTH2_CLIENT_FIELDS].filter(field => !!store.get(`credentials.${account.id}.${field}`))
+  }),
+
+  // Single-account installs keep their topics, schedule and keys as a "Default" account.
+  // Encrypted values are moved as-is, so this does not need safeStorage.
+  // Accounts saved before post caps and OAuth 2.0 get those defaults.
+  migrate: () => {
+    const existing = accountProfiles.list();
+    if (existing.length > 0) {
+      if (existing.some(account => account.authMethod === undefined || account.dailyCap === undefined || account.hourlyCap === undefined)) {
+        store.set('accounts', existing.map(account => ({ dailyCap: 0, hourlyCap: 0, authMethod: 'oauth1', ...account })));
+      }
+      return;
+    }
+
+    const account = {
+      id: crypto.randomUUID(),
+      name: 'Default',
+      persona: '',
+      topics: store.get('topics', []),
+      schedule: store.get('schedule', { ...DEFAULT_SCHEDULE }),
+      dailyCap: 0,
+      hourlyCap: 0,
+      authMethod: 'oauth1'
+    };
+
+    CREDENTIAL_FIELDS.forEach(field => {
+      const stored = store.get(field);
+      if (stored) store.set(`credentials.${account.id}.${field}`, stored);
+      store.delete(field);
+    });
+    store.delete('topics');
+    store.delete('schedule');
+    store.set('accounts', [account]);
+
+    log.info(`Migrated single-account settings to account profile "${account.name}"`);
+  }
+};
+
+// --- Topic Library ---
+// Topics are objects ({ id, label, notes, tags, enabled, group }) kept in list
+// order on each account. Older installs stored plain strings; migrateTopics()
+// converts them and re-keys topic selection data from label to id.
+
+function migrateTopics() {
+  const accounts = accountProfiles.list();
+  let migrated = 0;
+
+  accounts.forEach(account => {
+    if (!(account.topics || []).some(topic => typeof topic === 'string')) return;
+
+    const topics = Topics.normalizeList(account.topics);
+    const idFor = (label) => topics.find(topic => topic.label === label)?.id || label;
+    const rekey = (map = {}) => Object.fromEntries(Object.entries(map).map(([label, value]) => [idFor(label), value]));
+    const selection = account.topicSelection;
+
+    account.topics = topics;
+    if (selection) account.topicSelection = { ...selection, weights: rekey(selection.weights), cooldowns: rekey(selection.cooldowns) };
+    if (account.topicLastUsed) account.topicLastUsed = rekey(account.topicLastUsed);
+    if (account.lastTopic) account.lastTopic = idFor(account.lastTopic);
+    migrated++;
+  });
+
+  if (migrated > 0) {
+    store.set('accounts', accounts);
+    log.info(`Migrated topic lists of ${migrated} account(s) to topic objects`);
+  }
+}
+
+// --- Activity Log ---
+// Structured events behind the UI console, kept in their own file so they
+// survive restarts. Every event is also written to electron-log as a line.
+
+const MAX_LOG_ENTRIES = 1000;
+const LOG_LEVELS = ['info', 'warning', 'error'];
+const LOG_FLUSH_MS = 2000; // Events within this window share one write of the file
+
+const logStore = new Store({
+  name: 'activity-log',
+  clearInvalidConfig: true,
+  defaults: {
+    entries: []
+  }
+});
+
+const activityLog = {
+  entries: null, // In-memory copy; logStore is rewritten at most every LOG_FLUSH_MS
+  flushTimer: null,
+
+  list: () => {
+    if (!activityLog.entries) activityLog.entries = logStore.get('entries', []);
+    return activityLog.entries;
+  },
+
+  // Write pending entries now (also called on quit)
+  flush: () => {
+    clearTimeout(activityLog.flushTimer);
+    activityLog.flushTimer = null;
+    if (activityLog.entries) logStore.set('entries', activityLog.entries);
+  },
+
+  // Newest first; `payload` is optional structured detail (IDs, status codes, usage)
+  add: ({ source, message, level = 'info', accountId = null, payload = null }) => {
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: Date.now(),
+      level: LOG_LEVELS.includes(level) ? level : 'info',
+      source: source || 'System',
+      accountId,
+      accountName: accountId ? accountProfiles.get(accountId)?.name || null : null,
+      message: String(message),
+      payload
+    };
+
+    activityLog.entries = [entry, ...activityLog.list()].slice(0, MAX_LOG_ENTRIES);
+    if (!activityLog.flushTimer) activityLog.flushTimer = setTimeout(activityLog.flush, LOG_FLUSH_MS);
+    sendToWindow('autopilot-log', entry);
+    return entry;
+  },
+
+  search: ({ query = '', level = 'all', source = 'all', accountId = 'all', limit = MAX_LOG_ENTRIES } = {}) => {
+    const needle = query.trim().toLowerCase();
+
+    return activityLog.list()
+      .filter(entry => level === 'all' || entry.level === level)
+      .filter(entry => source === 'all' || entry.source === source)
+      .filter(entry => accountId === 'all' || entry.accountId === accountId)
+      .filter(entry => !needle || [entry.message, entry.source, entry.accountName, entry.payload && JSON.stringify(entry.payload)]
+        .some(value => value && String(value).toLowerCase().includes(needle)))
+      .slice(0, limit);
+  },
+
+  clear: () => {
+    activityLog.entries = [];
+    activityLog.flush();
+  }
+};
+
+// --- Autopilot Scheduler ---
+// Autopilot lives in the main process so it survives renderer reloads,
+// crashes and background throttling. The renderer only observes it.
+
+const POST_DELAY_MS = 2000; // Small pause between generating and posting
+
+// Push an event to the renderer (no-op while the window is gone)
+function sendToWindow(channel, payload) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, payload);
+  }
+}
+
+// Write to electron-log and record a structured event for the UI console, tagged by account
+function emitLog(source, message, type = 'info', accountId = null, payload = null) {
+  const entry = activityLog.add({ source, message, level: type, accountId, payload });
+  const line = `${entry.accountName ? `[@${entry.accountName}] ` : ''}[${source}] ${message}`;
+  if (entry.level === 'error') log.error(line);
+  else if (entry.level === 'warning') log.warn(line);
+  else log.info(line);
+  return entry;
+}
+
+// An account's Twitter credentials in the shape twitterPost() expects.
+// OAuth 2.0 accounts post with a Bearer token; media uploads (v1.1) still need
+// the OAuth 1.0a keys, so those are included whenever they are set.
+function getTwitterKeys(accountId) {
+  const credentials = accountProfiles.getCredentials(accountId);
+  const keys = {
+    consumerKey: credentials.twitterConsumerKey,
+    consumerSecret: credentials.twitterConsumerSecret,
+    accessToken: credentials.twitterAccessToken,
+    tokenSecret: credentials.twitterTokenSecret
+  };
+  if (accountProfiles.get(accountId)?.authMethod === 'oauth2') {
+    keys.getBearerToken = (options) => OAuth2.getAccessToken(accountId, options);
+  }
+  return keys;
+}
+
+const DEFAULT_PERSONA = 'a professional Software Engineer specializing in Artificial Intelligence';
+
+// --- Topic Selection ---
+// Each account picks its next enabled topic with a strategy. Weights and
+// cooldowns are per topic (keyed by topic id); when a topic was last used is
+// stored on the account so strategies and cooldowns survive restarts.
+
+const TOPIC_STRATEGIES = ['random', 'round-robin', 'weighted', 'least-recent'];
+
+const DEFAULT_TOPIC_SELECTION = {
+  strategy: 'random',
+  cooldownMinutes: 0, // Default cooldown for topics without their own
+  weights: {}, // topic id -> relative weight (default 1)
+  cooldowns: {} // topic id -> minutes
+};
+
+const TopicSelection = {
+  getSettings: (accountId) => {
+    return { ...DEFAULT_TOPIC_SELECTION, ...(accountProfiles.get(accountId)?.topicSelection || {}) };
+  },
+
+  saveSettings: (accountId, settings) => {
+    const number = (value, fallback) => {
+      const parsed = parseFloat(value);
+      return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+    };
+    const clean = (map, fallback) => Object.fromEntries(
+      Object.entries(map || {})
+        .map(([topic, value]) => [topic, number(value, fallback)])
+        .filter(([, value]) => value !== fallback)
+    );
+
+    const saved = {
+      strategy: TOPIC_STRATEGIES.includes(settings.strategy) ? settings.strategy : DEFAULT_TOPIC_SELECTION.strategy,
+      cooldownMinutes: number(settings.cooldownMinutes, 0),
+      weights: clean(settings.weights, 1),
+      cooldowns: clean(settings.cooldowns, null)
+    };
+    accountProfiles.update(accountId, { topicSelection: saved });
+    return saved;
+  },
+
+  // topic id -> last time it was picked (ms)
+  getLastUsed: (accountId) => accountProfiles.get(accountId)?.topicLastUsed || {},
+
+  markUsed: (accountId, topic) => {
+    accountProfiles.update(accountId, {
+      topicLastUsed: { ...TopicSelection.getLastUsed(accountId), [topic.id]: Date.now() },
+      lastTopic: topic.id
+    });
+  },
+
+  // Topics whose cooldown has passed
+  available: (accountId, topics, settings = TopicSelection.getSettings(accountId)) => {
+    const lastUsed = TopicSelection.getLastUsed(accountId);
+    const now = Date.now();
+    return topics.filter(topic => {
+      const cooldown = settings.cooldowns[topic.id] ?? settings.cooldownMinutes;
+      return !cooldown || !lastUsed[topic.id] || now - lastUsed[topic.id] >= cooldown * 60 * 1000;
+    });
+  },
+
+  // Next topic object by the account's strategy, or null when every topic is cooling down
+  pick: (accountId, topics) => {
+    const settings = TopicSelection.getSettings(accountId);
+    const candidates = TopicSelection.available(accountId, topics, settings);
+    if (candidates.length === 0) return null;
+
+    const lastUsed = TopicSelection.getLastUsed(accountId);
+    let topic;
+
+    switch (settings.strategy) {
+      case 'round-robin': {
+        // First available topic after the last one used, wrapping around
+        const lastTopic = accountProfiles.get(accountId)?.lastTopic;
+        const start = topics.findIndex(candidate => candidate.id === lastTopic) + 1;
+        const ordered = [...topics.slice(start), ...topics.slice(0, start)];
+        topic = ordered.find(candidate => candidates.includes(candidate));
+        break;
+      }
+      case 'weighted': {
+        const weights = candidates.map(candidate => settings.weights[candidate.id] ?? 1);
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        if (total <= 0) return null;
+
+        let roll = Math.random() * total;
+        topic = candidates.find((candidate, index) => (roll -= weights[index]) < 0) || candidates[candidates.length - 1];
+        break;
+      }
+      case 'least-recent':
+        // Never-used topics first, then the oldest; list order breaks ties
+        topic = candidates.reduce((best, candidate) => ((lastUsed[candidate.id] || 0) < (lastUsed[best.id] || 0) ? candidate : best));
+        break;
+      default:
+        topic = candidates[Math.floor(Math.random() * candidates.length)];
+    }
+
+    TopicSelection.markUsed(accountId, topic);
+    return topic;
+  }
+};
+
+// --- Prompt Templates ---
+// Single-tweet prompts are rendered from a template: a global default plus
+// optional per-topic overrides, keyed by topic text (renames carry them over).
+// Thread mode keeps its own prompt.
+
+const DEFAULT_PROMPT_TEMPLATE = `Current Date/Time: {date}.
+You are {persona}.
+Write a single, and engaging tweet about the topic: "{topic}".
+- Make it relevant to general recent trends if applicable.
+- Under {max_chars} characters.
+- No hashtags unless absolutely necessary for the topic context.
+- No quotes around the tweet.
+- Do not start with "Here is a tweet". Just output the tweet text.
+- Do not repeat these recent posts:
+{recent_posts}`;
+
+const RECENT_POSTS_IN_PROMPT = 5;
+
+const PromptTemplates = {
+  get: () => ({ default: '', topics: {}, ...store.get('promptTemplates', {}) }),
+
+  save: ({ default: defaultTemplate = '', topics = {} }) => {
+    const overrides = {};
+    Object.entries(topics).forEach(([topic, template]) => {
+      if (template && template.trim()) overrides[topic] = template;
+    });
+    const saved = { default: defaultTemplate.trim() ? defaultTemplate : '', topics: overrides };
+    store.set('promptTemplates', saved);
+    return saved;
+  },
+
+  // Carry an override over to a topic's new label. Labels are shared across
+  // accounts, so one still in use elsewhere keeps its override too.
+  renameTopic: (from, to) => {
+    const templates = PromptTemplates.get();
+    if (!templates.topics[from] || templates.topics[to]) return;
+
+    const inUse = accountProfiles.list().some(account => (account.topics || []).some(topic => topic.label === from));
+    const topics = { ...templates.topics, [to]: templates.topics[from] };
+    if (!inUse) delete topics[from];
+    store.set('promptTemplates', { ...templates, topics });
+    log.info(`Prompt template moved from topic "${from}" to "${to}"`);
+  },
+
+  // Topic override, then the user's default, then the built-in one
+  templateFor: (topic) => {
+    const templates = PromptTemplates.get();
+    return templates.topics[topic] || templates.default || DEFAULT_PROMPT_TEMPLATE;
+  },
+
+  variables: (topic, accountId) => {
+    const { persona } = accountProfiles.get(accountId) || {};
+    const recent = postHistory.list()
+      .filter(entry => entry.status === 'posted' && entry.accountId === accountId && entry.text)
+      .slice(0, RECENT_POSTS_IN_PROMPT)
+      .map(entry => `- ${entry.text.replace(/\s+/g, ' ')}`);
+
+    return {
+      topic,
+      date: new Date().toLocaleString(),
+      persona: persona || DEFAULT_PERSONA,
+      recent_posts: recent.length > 0 ? recent.join('\n') : '(none yet)',
+      max_chars: TWEET_MAX_CHARS
+    };
+  },
+
+  // Unknown {names} are left as typed so mistakes show up in the preview
+  render: (template, variables) => {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in variables ? String(variables[name]) : match));
+  },
+
+  build: (topic, accountId, template = PromptTemplates.templateFor(topic)) => {
+    return PromptTemplates.render(template, PromptTemplates.variables(topic, accountId));
+  }
+};
+
+// --- Tweet Length ---
+// Weighting rules are in automation.js (TweetLength).
+
+const DEFAULT_SHORTEN_ATTEMPTS = 2;
+
+function getShortenAttempts() {
+  return store.get('shortenAttempts', DEFAULT_SHORTEN_ATTEMPTS);
+}
+
+function buildShortenPrompt(text, weighted) {
+  return `
+        This tweet is ${weighted} characters as X counts them (links count as ${TWEET_URL_LENGTH},
+        emoji and CJK characters count as 2), which is over the ${TWEET_MAX_CHARS} limit:
+        "${text}"
+        Rewrite it in under ${TWEET_MAX_CHARS - 20} characters, keeping its meaning and tone.
+        - No quotes around the tweet.
+        - Just output the tweet text.
+      `;
+}
+
+// --- Threads ---
+// Thread mode asks the model for an ordered list of tweets and posts them as a
+// reply chain. Long pasted text is split on sentence boundaries instead.
+
+const DEFAULT_THREAD_SETTINGS = {
+  enabled: false,
+  maxParts: 4,
+  numbering: true // Append "1/n" to each part
+};
+
+function getThreadSettings() {
+  return { ...DEFAULT_THREAD_SETTINGS, ...store.get('threadSettings', {}) };
+}
+
+function buildThreadPrompt(topic, maxParts, persona) {
+  const now = new Date().toLocaleString();
+  return `
+        Current Date/Time: ${now}.
+        You are ${persona || DEFAULT_PERSONA}. 
+        Write an engaging thread of 2 to ${maxParts} tweets about the topic: "${topic}".
+        - Make it relevant to general recent trends if applicable.
+        - Each tweet under 260 characters and readable on its own.
+        - Do not number the tweets.
+        - No hashtags unless absolutely necessary for the topic context.
+        - Output ONLY a JSON array of strings, one string per tweet, in order.
+      `;
+}
+
+// --- Draft Review Queue ---
+// In approval mode autopilot fills this queue instead of posting directly.
+// Drafts are reviewed in the UI; approved ones post (oldest first) at the next slot.
+
+const MAX_PENDING_DRAFTS = 10;
+
+const draftQueue = {
+  list: () => store.get('drafts', []),
+
+  save: (drafts) => {
+    store.set('drafts', drafts);
+    sendToWindow('drafts-updated', drafts);
+    return drafts;
+  },
+
+  get: (id) => draftQueue.list().find(draft => draft.id === id),
+
+  add: ({ accountId, topic, prompt, text, parts = null }) => {
+    const now = Date.now();
+    const draft = { id: crypto.randomUUID(), accountId, topic, prompt, text, parts, media: [], status: 'pending', createdAt: now, updatedAt: now };
+    draftQueue.save([...draftQueue.list(), draft]);
+    return draft;
+  },
+
+  update: (id, changes) => {
+    const drafts = draftQueue.list();
+    const index = drafts.findIndex(draft => draft.id === id);
+    if (index === -1) throw new Error('Draft not found');
+
+    drafts[index] = { ...drafts[index], ...changes, updatedAt: Date.now() };
+    draftQueue.save(drafts);
+    return drafts[index];
+  },
+
+  remove: (id) => {
+    draftQueue.save(draftQueue.list().filter(draft => draft.id !== id));
+  },
+
+  nextApproved: (accountId) => {
+    return draftQueue.list()
+      .filter(draft => draft.accountId === accountId && draft.status === 'approved')
+      .sort((a, b) => a.approvedAt - b.approvedAt)[0] || null;
+  },
+
+  pendingCount: (accountId) => {
+    return draftQueue.list().filter(draft => draft.accountId === accountId && draft.status === 'pending').length;
+  },
+
+  removeForAccount: (accountId) => {
+    draftQueue.save(draftQueue.list().filter(draft => draft.accountId !== accountId));
+  }
+};
+
+// --- Post History ---
+// Every generate/post attempt is recorded in its own store file (history.json)
+// so the record survives restarts without bloating config.json.
+
+const MAX_HISTORY_ENTRIES = 2000;
+
+const historyStore = new Store({
+  name: 'history',
+  clearInvalidConfig: true,
+  defaults: {
+    entries: []
+  }
+});
+
+const postHistory = {
+  list: () => historyStore.get('entries', []),
+
+  // Newest first; the oldest entries roll off past MAX_HISTORY_ENTRIES
+  add: (fields) => {
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: Date.now(),
+      accountId: null,
+      accountName: null, // Kept so entries stay readable after an account is deleted
+      topic: null,
+      prompt: null,
+      text: null,
+      parts: null, // Final thread parts as posted
+      media: [], // Attachments as { path, altText }
+      tweetId: null, // First tweet (thread root)
+      tweetIds: null, // Every part posted so far, for threads
+      status: 'posted', // posted | failed | duplicate (rejected by X as duplicate content) | simulated (dry run)
+      stage: 'post', // generate | post
+      error: null,
+      statusCode: null,
+      manual: false,
+      ...fields
+    };
+
+    historyStore.set('entries', [entry, ...postHistory.list()].slice(0, MAX_HISTORY_ENTRIES));
+    sendToWindow('history-added', entry);
+    return entry;
+  },
+
+  get: (id) => postHistory.list().find(entry => entry.id === id),
+
+  update: (id, changes) => {
+    const entries = postHistory.list();
+    const index = entries.findIndex(entry => entry.id === id);
+    if (index === -1) throw new Error('History entry not found');
+
+    entries[index] = { ...entries[index], ...changes };
+    historyStore.set('entries', entries);
+    sendToWindow('history-added', entries[index]);
+    return entries[index];
+  },
+
+  search: ({ query = '', status = 'all', accountId = 'all', limit = 200 } = {}) => {
+    const needle = query.trim().toLowerCase();
+
+    return postHistory.list()
+      .filter(entry => status === 'all' || entry.status === status)
+      .filter(entry => accountId === 'all' || entry.accountId === accountId)
+      .filter(entry => !needle || [entry.topic, entry.text, entry.tweetId, entry.error]
+        .some(value => value && String(value).toLowerCase().includes(needle)))
+      .slice(0, limit);
+  },
+
+  clear: () => {
+    historyStore.set('entries', []);
+  }
+};
+
+// --- Duplicate Detection ---
+// New generations are compared with the account's recent posts (and queued
+// drafts) using Jaccard similarity over character shingles, which also works
+// for text without spaces. Close matches are regenerated with the earlier
+// posts fed back as "avoid repeating".
+
+const DEFAULT_DUPLICATE_SETTINGS = {
+  enabled: true,
+  threshold: 0.5, // 0..1 Jaccard similarity
+  lookback: 30, // Recent posts compared per account
+  maxRegenerations: 2
+};
+
+function getDuplicateSettings() {
+  return { ...DEFAULT_DUPLICATE_SETTINGS, ...store.get('duplicateSettings', {}) };
+}
+
+// Texts this account has posted recently or is about to post
+function recentTexts(accountId, lookback) {
+  const posted = postHistory.list()
+    .filter(entry => entry.accountId === accountId && entry.status === 'posted' && entry.text)
+    .slice(0, lookback)
+    .map(entry => entry.text);
+  const queued = draftQueue.list()
+    .filter(draft => draft.accountId === accountId && draft.status !== 'failed')
+    .map(draft => draft.text);
+  return [...queued, ...posted];
+}
+
+function buildAvoidRepeatingPrompt(prompt, avoid) {
+  return `${prompt}
+        Avoid repeating these earlier posts. Pick a different angle, wording and opening:
+${avoid.map(text => `        - ${text.replace(/\s+/g, ' ')}`).join('\n')}
+      `;
+}
+
+// X rejects posts identical to a recent one with a 403 and this detail
+function isDuplicateContentError(status, errorText) {
+  return status === 403 && /duplicate content/i.test(errorText || '');
+}
+
+// --- Rate Limits ---
+// X's rate-limit headers are kept per account, next to the user's own hourly
+// and daily caps. Autopilot checks both before a cycle and pauses until the
+// relevant window resets instead of burning requests on 429s.
+
+const RATE_LIMIT_FALLBACK_MS = 15 * 60 * 1000; // X's standard window, when a 429 has no reset header
+
+// Error for a rateLimits.check block. Only blocks that clear by themselves are
+// marked `rateLimited`, so the scheduler pauses instead of failing for good.
+function rateLimitError(block) {
+  if (!block.until) return new Error(`${block.reason}. Shorten the thread or raise the cap in Settings.`);
+  const error = new Error(`${block.reason}. Posting allowed again at ${new Date(block.until).toLocaleString()}.`);
+  error.rateLimited = true;
+  error.resetAt = block.until;
+  return error;
+}
+
+const rateLimits = {
+  get: (accountId) => store.get(`rateLimits.${accountId}`, {}),
+
+  update: (accountId, headers) => {
+    const merged = RateLimits.merge(rateLimits.get(accountId), headers);
+    if (merged) store.set(`rateLimits.${accountId}`, merged);
+  },
+
+  // Timestamps of tweets this account posted since `since` (threads count every part)
+  postedSince: (accountId, since) => {
+    return postHistory.list()
+      .filter(entry => entry.accountId === accountId && entry.status === 'posted' && entry.timestamp >= since)
+      .flatMap(entry => Array((entry.tweetIds || []).length || 1).fill(entry.timestamp));
+  },
+
+  // Why `tweets` more posts are not allowed right now ({ reason, until }), or null
+  check: (accountId, tweets = 1) => {
+    const now = Date.now();
+    const { hourlyCap = 0, dailyCap = 0 } = accountProfiles.get(accountId) || {};
+    return RateLimits.check({
+      limits: rateLimits.get(accountId),
+      hourlyCap,
+      dailyCap,
+      posted: rateLimits.postedSince(accountId, now - DAY_MS),
+      tweets,
+      now
+    });
+  },
+
+  // Quota summary for the UI
+  status: (accountId) => {
+    const now = Date.now();
+    const { hourlyCap = 0, dailyCap = 0 } = accountProfiles.get(accountId) || {};
+    return {
+      ...rateLimits.get(accountId),
+      hourlyCap,
+      dailyCap,
+      postedLastHour: rateLimits.postedSince(accountId, now - HOUR_MS).length,
+      postedLastDay: rateLimits.postedSince(accountId, now - DAY_MS).length
+    };
+  }
+};
+
+// --- Desktop Notifications ---
+// Native notifications raised from the main process, so they also work while
+// the window is hidden in the tray. Each category can be turned off, and
+// nothing is shown during quiet hours or while the window has focus.
+
+const NOTIFICATION_CATEGORIES = ['posted', 'failed', 'paused', 'drafts', 'updates'];
+
+const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: true,
+  events: { posted: true, failed: true, paused: true, drafts: true, updates: true },
+  quietHours: { enabled: false, start: '22:00', end: '07:00' } // Local time; may wrap past midnight
+};
+
+function getNotificationSettings() {
+  const saved = store.get('notifications', {});
+  return {
+    ...DEFAULT_NOTIFICATION_SETTINGS,
+    ...saved,
+    events: { ...DEFAULT_NOTIFICATION_SETTINGS.events, ...saved.events },
+    quietHours: { ...DEFAULT_NOTIFICATION_SETTINGS.quietHours, ...saved.quietHours }
+  };
+}
+
+const notifications = {
+  active: new Set(), // Shown notifications; holding a reference keeps their click handlers alive
+
+  inQuietHours: ({ enabled, start, end }, now = new Date()) => {
+    if (!enabled) return false;
+    const toMinutes = (time) => {
+      const [hours, minutes] = String(time).split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+    const minute = now.getHours() * 60 + now.getMinutes();
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+    if (isNaN(from) || isNaN(to) || from === to) return false;
+    return from < to ? minute >= from && minute < to : minute >= from || minute < to;
+  },
+
+  // `category` is one of NOTIFICATION_CATEGORIES (null = always, unless all are off)
+  show: (category, { title, body, onClick = showMainWindow }) => {
+    const settings = getNotificationSettings();
+    if (!settings.enabled || (category && !settings.events[category])) return;
+    if (notifications.inQuietHours(settings.quietHours)) return;
+    if (isHeadless || !Notification.isSupported()) return;
+    if (mainWindow && !mainWindow.isDestroyed() && mainWindow.isVisible() && mainWindow.isFocused()) return;
+
+    const notification = new Notification({
+      title,
+      body: body && body.length > 200 ? `${body.slice(0, 197)}...` : body,
+      icon: path.join(__dirname, 'logo192.png')
+    });
+    notifications.active.add(notification);
+    notification.on('click', () => {
+      notifications.active.delete(notification);
+      onClick();
+    });
+    notification.on('close', () => notifications.active.delete(notification));
+    notification.show();
+  },
+
+  // Map an autopilot cycle event to a notification
+  forCycle: (accountId, cycle) => {
+    const account = accountProfiles.get(accountId);
+    const who = account ? ` (${account.screenName ? `@${account.screenName}` : account.name})` : '';
+
+    if (cycle.phase === 'posted' && !cycle.simulated) {
+      notifications.show('posted', {
+        title: `Posted${who}`,
+        body: cycle.text,
+        onClick: () => shell.openExternal(`https://x.com/i/web/status/${cycle.tweetId}`)
+      });
+    } else if (cycle.phase === 'failed' && !cycle.duplicate) {
+      notifications.show('failed', { title: `Post failed${who}`, body: cycle.error });
+    } else if (cycle.phase === 'paused') {
+      notifications.show('paused', { title: `Autopilot paused${who}`, body: `${cycle.reason}. Resumes ${new Date(cycle.until).toLocaleString()}.` });
+    } else if (cycle.phase === 'drafted') {
+      notifications.show('drafts', { title: `Draft waiting for approval${who}`, body: cycle.text });
+    }
+  }
+};
+
+function showMainWindow() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.show();
+    mainWindow.focus();
+  }
+}
+
+// --- Webhooks ---
+// Outgoing HTTP POSTs for autopilot events, as generic JSON or as Slack /
+// Discord message payloads. With a secret set, the body is signed:
+// X-Automator-Signature = "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>",
+// where <timestamp> is the X-Automator-Timestamp header (epoch seconds).
+
+const WEBHOOK_EVENTS = ['started', 'generated', 'posted', 'failed', 'paused', 'drafted'];
+const WEBHOOK_FORMATS = ['json', 'slack', 'discord'];
+const WEBHOOK_MAX_ATTEMPTS = 3;
+const MAX_WEBHOOK_DELIVERIES = 200;
+
+const deliveryStore = new Store({
+  name: 'webhook-deliveries',
+  clearInvalidConfig: true,
+  defaults: {
+    entries: []
+  }
+});
+
+const webhooks = {
+  // [{ id, name, url, format, events, enabled }]; secrets live in secureStorage
+  list: () => store.get('webhooks', []),
+
+  toPublic: (hook) => ({ ...hook, hasSecret: !!store.get(`webhookSecrets.${hook.id}`) }),
+
+  save: (hooks) => {
+    const saved = hooks.map(hook => {
+      const url = String(hook.url || '').trim();
+      let valid = false;
+      try {
+        valid = ['http:', 'https:'].includes(new URL(url).protocol);
+      } catch (error) {
+        valid = false;
+      }
+      if (!valid) throw new Error(`Invalid webhook URL: ${url || '(empty)'}`);
+
+      const id = hook.id || crypto.randomUUID();
+      // `secret`: a string replaces it, '' (or null) removes it, undefined keeps it
+      if (hook.secret !== undefined) secureStorage.set(`webhookSecrets.${id}`, String(hook.secret || '').trim());
+      return {
+        id,
+        name: String(hook.name || '').trim() || new URL(url).hostname,
+        url,
+        format: WEBHOOK_FORMATS.includes(hook.format) ? hook.format : 'json',
+        events: (hook.events || []).filter(event => WEBHOOK_EVENTS.includes(event)),
+        enabled: hook.enabled !== false
+      };
+    });
+
+    // Forget secrets of removed hooks
+    webhooks.list()
+      .filter(hook => !saved.some(kept => kept.id === hook.id))
+      .forEach(hook => store.delete(`webhookSecrets.${hook.id}`));
+
+    store.set('webhooks', saved);
+    return saved.map(webhooks.toPublic);
+  },
+
+  deliveries: () => deliveryStore.get('entries', []),
+
+  recordDelivery: (fields) => {
+    const entry = { id: crypto.randomUUID(), timestamp: Date.now(), ...fields };
+    deliveryStore.set('entries', [entry, ...webhooks.deliveries()].slice(0, MAX_WEBHOOK_DELIVERIES));
+    sendToWindow('webhook-delivery', entry);
+    return entry;
+  },
+
+  // One-line description used by the Slack and Discord presets
+  summarize: (event, account, data) => {
+    const who = account ? ` [${account.screenName ? `@${account.screenName}` : account.name}]` : '';
+    const link = data.tweetId ? `\nhttps://x.com/i/web/status/${data.tweetId}` : '';
+    const lines = {
+      started: `Cycle started${who}${data.topic ? `: ${data.topic}` : ''}`,
+      generated: `Generated${who}: ${data.text}`,
+      posted: `${data.simulated ? 'Simulated post (dry run)' : 'Posted'}${who}: ${data.text}${link}`,
+      failed: `Post failed${who}: ${data.error}`,
+      paused: `Autopilot paused${who}: ${data.reason}, until ${new Date(data.until).toLocaleString()}`,
+      drafted: `Draft waiting for approval${who}: ${data.text}`,
+      test: `Test from Twitter Automator${who}`
+    };
+    return lines[event] || `${event}${who}`;
+  },
+
+  buildBody: (hook, event, account, data) => {
+    if (hook.format === 'slack') return { text: webhooks.summarize(event, account, data) };
+    if (hook.format === 'discord') return { content: webhooks.summarize(event, account, data).slice(0, 2000), username: 'Twitter Automator' };
+    return {
+      event,
+      timestamp: new Date().toISOString(),
+      account: account ? { id: account.id, name: account.name, screenName: account.screenName || null } : null,
+      data
+    };
+  },
+
+  // POST with retries on network errors, 429 and 5xx; every outcome goes to the delivery log
+  deliver: async (hook, event, account, data) => {
+    const body = JSON.stringify(webhooks.buildBody(hook, event, account, data));
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': `TwitterAutomator/${app.getVersion()}` };
+    // Unsigned when no secret is set
+    const secret = String(secureStorage.get(`webhookSecrets.${hook.id}`) || '').trim();
+    if (secret) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      headers['X-Automator-Timestamp'] = timestamp;
+      headers['X-Automator-Signature'] = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+    }
+
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    let delay = 2000;
+    let statusCode = null;
+    let error = null;
+    let attempt = 1;
+    for (; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+      try {
+        const response = await fetch(hook.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(15000) });
+        statusCode = response.status;
+        if (response.ok) {
+          error = null;
+          break;
+        }
+        error = `${response.status} ${response.statusText}`;
+        if (response.status !== 429 && response.status < 500) break;
+      } catch (requestError) {
+        statusCode = null;
+        error = requestError.message;
+      }
+      if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+        await wait(delay);
+        delay *= 2;
+      }
+    }
+
+    const delivered = !error;
+    if (!delivered) log.warn(`Webhook "${hook.name}" (${event}) failed after ${Math.min(attempt, WEBHOOK_MAX_ATTEMPTS)} attempt(s): ${error}`);
+    return webhooks.recordDelivery({
+      webhookId: hook.id,
+      webhookName: hook.name,
+      event,
+      accountId: account ? account.id : null,
+      status: delivered ? 'delivered' : 'failed',
+      statusCode,
+      attempts: Math.min(attempt, WEBHOOK_MAX_ATTEMPTS),
+      error
+    });
+  },
+
+  // Fan an autopilot cycle event out to every enabled hook subscribed to it (fire and forget)
+  dispatch: (accountId, { phase, ...data }) => {
+    if (!WEBHOOK_EVENTS.includes(phase)) return;
+    const hooks = webhooks.list().filter(hook => hook.enabled && hook.events.includes(phase));
+    if (hooks.length === 0) return;
+
+    const account = accountProfiles.get(accountId);
+    hooks.forEach(hook => {
+      webhooks.deliver(hook, phase, account, data).catch(error => log.error(`Webhook "${hook.name}" error:`, error));
+    });
+  }
+};
+
+// One scheduler per account, so several accounts can run autopilot at once
+function createScheduler(accountId) {
+  const scheduler = {
+    accountId,
+    running: false,
+    phase: 'idle', // idle | generating | posting | waiting | success | error
+    timer: null,
+    nextRunTime: null,
+    lastSlot: null, // Un-jittered slot the timer is armed for
+    lastResult: null,
+    cycleInProgress: false,
+    pausedUntil: null, // No cycles before this time (rate limits, caps and the tray)
+    pauseReason: null,
+    pauseTimer: null, // Refreshes the tray when the pause runs out
+
+    getStatus: () => ({
+      accountId,
+      running: scheduler.running,
+      phase: scheduler.phase,
+      nextRunTime: scheduler.nextRunTime,
+      lastResult: scheduler.lastResult,
+      pausedUntil: scheduler.isPaused() ? scheduler.pausedUntil : null,
+      pauseReason: scheduler.isPaused() ? scheduler.pauseReason : null,
+      quota: rateLimits.status(accountId)
+    }),
+
+    isPaused: () => !!scheduler.pausedUntil && scheduler.pausedUntil > Date.now(),
+
+    // Hold off until `until`; a running autopilot re-plans its next slot after it
+    pause: (until, reason) => {
+      scheduler.pausedUntil = until;
+      scheduler.pauseReason = reason;
+      scheduler.armPauseTimer();
+      scheduler.emit('Autopilot', `${reason}. Paused until ${new Date(until).toLocaleString()}.`, 'warning');
+      scheduler.sendCycle({ phase: 'paused', reason, until });
+      if (scheduler.running) {
+        scheduler.lastSlot = null;
+        scheduler.scheduleNext();
+      } else {
+        scheduler.broadcast();
+      }
+    },
+
+    // Lift a pause early (e.g. from the tray)
+    resume: () => {
+      if (!scheduler.isPaused()) return scheduler.getStatus();
+      scheduler.pausedUntil = null;
+      scheduler.pauseReason = null;
+      scheduler.armPauseTimer();
+      scheduler.emit('Autopilot', 'Pause lifted.');
+      if (scheduler.running) {
+        scheduler.lastSlot = null;
+        scheduler.scheduleNext();
+      } else {
+        scheduler.broadcast();
+      }
+      return scheduler.getStatus();
+    },
+
+    // Broadcast once the pause is over so the tray and UI stop showing it
+    armPauseTimer: () => {
+      if (scheduler.pauseTimer) clearTimeout(scheduler.pauseTimer);
+      scheduler.pauseTimer = null;
+      if (!scheduler.isPaused()) return;
+
+      const delay = scheduler.pausedUntil - Date.now();
+      scheduler.pauseTimer = delay > MAX_TIMER_MS
+        ? setTimeout(scheduler.armPauseTimer, MAX_TIMER_MS)
+        : setTimeout(() => {
+          scheduler.pauseTimer = null;
+          scheduler.broadcast();
+        }, delay + 1000);
+    },
+
+    // Pause and return true when posting `tweets` now would hit a limit or cap.
+    // Blocks that waiting cannot clear are left to fail in publish.
+    holdForQuota: (tweets = 1) => {
+      const block = rateLimits.check(accountId, tweets);
+      if (!block || !block.until) return false;
+      scheduler.pause(block.until, block.reason);
+      return true;
+    },
+
+    // Account-tagged wrappers for logs, cycle events and history
+    emit: (source, message, type = 'info', payload = null) => emitLog(source, message, type, accountId, payload),
+
+    sendCycle: (payload) => {
+      sendToWindow('autopilot-cycle', { accountId, ...payload });
+      notifications.forCycle(accountId, payload);
+      webhooks.dispatch(accountId, payload);
+    },
+
+    record: (fields) => postHistory.add({
+      accountId,
+      accountName: accountProfiles.get(accountId)?.name || null,
+      ...fields
+    }),
+
+    // Enabled topics, in list order
+    getTopics: () => (accountProfiles.get(accountId)?.topics || []).filter(topic => topic.enabled),
+
+    broadcast: () => {
+      sendToWindow('autopilot-status', scheduler.getStatus());
+      updateTray();
+    },
+
+    setPhase: (phase) => {
+      scheduler.phase = phase;
+      scheduler.broadcast();
+    },
+
+    start: () => {
+      if (scheduler.running) return scheduler.getStatus();
+
+      if (scheduler.getTopics().length === 0) {
+        scheduler.emit('System', 'Add (or enable) at least one topic first.', 'warning');
+        return scheduler.getStatus();
+      }
+
+      const schedule = getSchedule(accountId);
+      scheduler.running = true;
+      scheduler.lastSlot = null;
+      scheduler.emit('System', `Autopilot STARTED. Schedule: ${Schedules.describe(schedule)}.`);
+
+      scheduler.scheduleNext();
+      // Interval mode runs immediately; slot-based modes wait for the next slot
+      if (schedule.mode === 'interval') scheduler.runCycle();
+      return scheduler.getStatus();
+    },
+
+    stop: () => {
+      if (scheduler.timer) clearTimeout(scheduler.timer);
+      scheduler.timer = null;
+      scheduler.nextRunTime = null;
+      scheduler.lastSlot = null;
+
+      if (scheduler.running) {
+        scheduler.running = false;
+        scheduler.emit('System', 'Autopilot STOPPED.');
+      }
+
+      scheduler.setPhase('idle');
+      return scheduler.getStatus();
+    },
+
+    scheduleNext: () => {
+      if (scheduler.timer) clearTimeout(scheduler.timer);
+
+      const schedule = getSchedule(accountId);
+      // Never hand out the same slot twice, even if jitter fired it early; skip paused time
+      const from = Math.max(Date.now(), scheduler.lastSlot || 0, scheduler.isPaused() ? scheduler.pausedUntil : 0);
+
+      let slot;
+      try {
+        slot = Schedules.nextSlot(schedule, from);
+      } catch (error) {
+        scheduler.emit('System', `Schedule error: ${error.message}. Autopilot stopped.`, 'error');
+        scheduler.stop();
+        return;
+      }
+
+      scheduler.lastSlot = slot;
+      scheduler.nextRunTime = Math.max(Date.now() + 1000, Schedules.applyJitter(slot, schedule.jitterMinutes));
+      scheduler.armTimer();
+      scheduler.broadcast();
+    },
+
+    armTimer: () => {
+      const delay = scheduler.nextRunTime - Date.now();
+
+      // Long waits (e.g. yearly cron) are bridged in steps setTimeout can handle
+      if (delay > MAX_TIMER_MS) {
+        scheduler.timer = setTimeout(scheduler.armTimer, MAX_TIMER_MS);
+        return;
+      }
+
+      scheduler.timer = setTimeout(() => {
+        scheduler.scheduleNext();
+        scheduler.runCycle();
+      }, Math.max(0, delay));
+    },
+
+    // Re-plan the next slot after the schedule was edited
+    reschedule: () => {
+      if (!scheduler.running) return;
+      scheduler.lastSlot = null;
+      scheduler.scheduleNext();
+      if (scheduler.running) {
+        scheduler.emit('System', `Schedule updated. Next run: ${new Date(scheduler.nextRunTime).toLocaleString()}.`);
+      }
+    },
+
+    // Generate tweet text (or thread parts) for a topic; errors are logged, recorded and rethrown
+    generate: async (topic, { manual = false } = {}) => {
+      scheduler.setPhase('generating');
+      const thread = getThreadSettings();
+      scheduler.emit('AI', `Topic: "${topic}". Generating timely ${thread.enabled ? 'thread' : 'content'}...`);
+
+      const basePrompt = scheduler.buildPrompt(topic, thread);
+      const duplicates = getDuplicateSettings();
+      const recent = duplicates.enabled ? recentTexts(accountId, duplicates.lookback) : [];
+      const avoid = [];
+      let prompt = basePrompt;
+      try {
+        for (let attempt = 0; ; attempt++) {
+          const generated = await scheduler.generateOnce(prompt, thread);
+          const match = duplicates.enabled ? Similarity.findSimilar(generated.text, recent, duplicates.threshold) : null;
+          if (!match) return { ...generated, prompt };
+
+          const similarity = `${Math.round(match.score * 100)}% similar to a recent post`;
+          if (attempt >= duplicates.maxRegenerations) {
+            throw new Error(`Still ${similarity} after ${attempt} regeneration(s). Skipped.`);
+          }
+
+          scheduler.emit('AI', `${similarity}. Regenerating (${attempt + 1}/${duplicates.maxRegenerations})...`, 'warning');
+          avoid.push(match.text, generated.text);
+          prompt = buildAvoidRepeatingPrompt(basePrompt, [...new Set(avoid)]);
+        }
+      } catch (error) {
+        scheduler.emit('AI', `Error: ${error.message}`, 'error');
+        scheduler.record({
+          topic, prompt, status: 'failed', stage: 'generate',
+          error: error.message, statusCode: error.status || null, manual
+        });
+        throw error;
+      }
+    },
+
+    buildPrompt: (topic, thread = getThreadSettings()) => {
+      const { persona } = accountProfiles.get(accountId) || {};
+      return thread.enabled ? buildThreadPrompt(topic, thread.maxParts, persona) : PromptTemplates.build(topic, accountId);
+    },
+
+    // Generate without recording, queueing or posting anything
+    preview: async (topic) => {
+      const thread = getThreadSettings();
+      const prompt = scheduler.buildPrompt(topic, thread);
+      return { ...(await scheduler.generateOnce(prompt, thread)), prompt };
+    },
+
+    // One model call -> { text, parts } (parts only for threads)
+    generateOnce: async (prompt, thread) => {
+      const { text: raw, usage, model } = await generateText(prompt);
+      const tokens = usage.outputTokens !== null ? `, ${usage.inputTokens ?? '?'}+${usage.outputTokens} tokens` : '';
+
+      if (thread.enabled) {
+        const parts = Threads.parseGenerated(raw, { numbering: thread.numbering }).slice(0, thread.maxParts);
+        if (parts.length === 0) throw new Error('The model returned an empty thread.');
+
+        scheduler.emit('AI', `Generated ${parts.length}-part thread (${model}${tokens}): "${parts[0]}"${parts.length > 1 ? ' ...' : ''}`, 'info', { model, usage });
+        return { text: parts.join('\n\n'), parts: parts.length > 1 ? parts : null };
+      }
+
+      scheduler.emit('AI', `Generated (${model}${tokens}): "${raw}"`, 'info', { model, usage });
+      return { text: await scheduler.fitLength(raw), parts: null };
+    },
+
+    // Ask the model for shorter versions of an over-long tweet, then trim as a last resort
+    fitLength: async (text) => {
+      const attempts = getShortenAttempts();
+      let current = text;
+
+      for (let attempt = 1; attempt <= attempts; attempt++) {
+        const { weighted, valid } = TweetLength.count(current);
+        if (valid) return current;
+
+        scheduler.emit('AI', `Too long (${weighted}/${TWEET_MAX_CHARS}). Asking for a shorter version (${attempt}/${attempts})...`, 'warning');
+        current = (await generateText(buildShortenPrompt(current, weighted))).text;
+      }
+
+      const { weighted, valid } = TweetLength.count(current);
+      if (valid) return current;
+
+      const trimmed = TweetLength.trim(current);
+      scheduler.emit('AI', `Still too long (${weighted}/${TWEET_MAX_CHARS}). Trimmed to fit.`, 'warning');
+      return trimmed;
+    },
+
+    // Post a tweet or thread, record and report the outcome (errors are logged and rethrown).
+    // `parts` are raw thread parts; numbering is applied here so edits never double it.
+    publish: async ({ topic, prompt = null, text, parts = null, media = [], manual }) => {
+      const isThread = Array.isArray(parts) && parts.length > 1;
+      const finalParts = isThread ? Threads.finalize(parts, { numbering: getThreadSettings().numbering }) : null;
+
+      scheduler.setPhase('posting');
+      scheduler.emit('Twitter', isThread ? `Posting a ${finalParts.length}-part thread...` : 'Signing request and posting...');
+
+      try {
+        const block = rateLimits.check(accountId, isThread ? finalParts.length : 1);
+        if (block) throw rateLimitError(block);
+
+        if (isDryRun()) {
+          validateMedia(media);
+          scheduler.emit('Twitter', `Dry run: would have posted ${isThread ? `a ${finalParts.length}-part thread` : 'this tweet'}. Nothing was sent to X.`, 'info', { text, parts: finalParts });
+          scheduler.record({ topic, prompt, text, parts: finalParts, media, status: 'simulated', manual });
+          scheduler.lastResult = { success: true, simulated: true, topic, text, tweetId: null, time: Date.now() };
+          scheduler.sendCycle({ phase: 'posted', topic, text, tweetId: null, simulated: true, manual });
+          return null;
+        }
+
+        const keys = getTwitterKeys(accountId);
+        const onRateLimit = (headers) => rateLimits.update(accountId, headers);
+        const mediaIds = await scheduler.uploadMedia(keys, media);
+        const tweetIds = isThread
+          ? await twitterPostThread({ keys, parts: finalParts, mediaIds, onRateLimit })
+          : [(await twitterPost({ keys, text, mediaIds, onRateLimit })).data.id];
+        const tweetId = tweetIds[0];
+
+        scheduler.emit('Twitter', `Success! Tweet ID: ${tweetId}${isThread ? ` (thread of ${tweetIds.length})` : ''}`, 'info', { tweetId, tweetIds });
+        scheduler.record({
+          topic, prompt, text, parts: finalParts, media, tweetId, tweetIds: isThread ? tweetIds : null,
+          status: 'posted', statusCode: 201, manual
+        });
+        scheduler.lastResult = { success: true, topic, text, tweetId, time: Date.now() };
+        scheduler.sendCycle({ phase: 'posted', topic, text, tweetId, manual });
+        return tweetId;
+      } catch (error) {
+        const postedIds = error.tweetIds || [];
+        const duplicate = !!error.duplicate && postedIds.length === 0;
+        if (isThread && postedIds.length > 0) {
+          scheduler.emit('Twitter', `Thread failed at part ${error.failedPart + 1}/${finalParts.length}: ${error.message}. ${postedIds.length} part(s) already posted; resume it from History.`, 'error');
+        } else if (duplicate) {
+          scheduler.emit('Twitter', 'X rejected this post as duplicate content. Skipped; the next cycle will generate something new.', 'warning');
+        } else {
+          scheduler.emit('Twitter', `Failed: ${error.message}`, 'error', { statusCode: error.status || null });
+        }
+
+        scheduler.record({
+          topic, prompt, text, parts: finalParts, media,
+          tweetId: postedIds[0] || null, tweetIds: isThread ? postedIds : null,
+          status: duplicate ? 'duplicate' : 'failed', error: error.message, statusCode: error.status || null, manual
+        });
+        scheduler.lastResult = { success: false, topic, text, error: error.message, time: Date.now() };
+        scheduler.sendCycle({ phase: 'failed', topic, text, error: error.message, duplicate, rateLimited: !!error.rateLimited, manual });
+        if (error.rateLimited) scheduler.pauseForRateLimit(error);
+        throw error;
+      }
+    },
+
+    // Pause until a rate-limited error's window resets (X's standard window when it is unknown)
+    pauseForRateLimit: (error) => {
+      const until = error.resetAt && error.resetAt > Date.now() ? error.resetAt : Date.now() + RATE_LIMIT_FALLBACK_MS;
+      scheduler.pause(until, error.status === 429 ? 'X returned 429 Too Many Requests' : 'Post limit reached');
+    },
+
+    // Upload attachments ({ path, altText }) and return their media IDs
+    uploadMedia: async (keys, media = []) => {
+      if (!media || media.length === 0) return [];
+      validateMedia(media);
+      if (!keys.consumerKey || !keys.consumerSecret || !keys.accessToken || !keys.tokenSecret) {
+        throw new Error(keys.getBearerToken
+          ? 'Media uploads need the OAuth 1.0a keys too. Add them to this account in Settings.'
+          : 'Missing Twitter Credentials');
+      }
+
+      const mediaIds = [];
+      for (const item of media) {
+        scheduler.emit('Twitter', `Uploading ${path.basename(item.path)}...`);
+        mediaIds.push(await twitterUploadMedia({ keys, filePath: item.path, altText: item.altText }));
+      }
+      return mediaIds;
+    },
+
+    // Continue a failed thread from History, replying to the last part that went out
+    resumeThread: async (historyId) => {
+      if (scheduler.cycleInProgress) throw new Error('A cycle is running for this account. Try again when it finishes.');
+      const entry = postHistory.get(historyId);
+      if (!entry || !entry.parts) throw new Error('Thread not found in history');
+      if (entry.status === 'posted') throw new Error('Thread was already posted');
+      if (isDryRun()) throw new Error('Dry run is on. Turn it off in Settings to resume this thread.');
+
+      const alreadyPosted = entry.tweetIds || [];
+      scheduler.cycleInProgress = true;
+      scheduler.setPhase('posting');
+      scheduler.emit('Twitter', `Resuming thread from part ${alreadyPosted.length + 1}/${entry.parts.length}...`);
+
+      try {
+        // Same hourly/daily caps as a fresh post, counting only the parts still to go
+        const block = rateLimits.check(accountId, entry.parts.length - alreadyPosted.length);
+        if (block) throw rateLimitError(block);
+
+        const keys = getTwitterKeys(accountId);
+        // Media rides on the first part, so it only needs uploading if that part never went out
+        const mediaIds = alreadyPosted.length === 0 ? await scheduler.uploadMedia(keys, entry.media) : [];
+        const onRateLimit = (headers) => rateLimits.update(accountId, headers);
+        const tweetIds = await twitterPostThread({ keys, parts: entry.parts, tweetIds: alreadyPosted, mediaIds, onRateLimit });
+        scheduler.emit('Twitter', `Thread completed. First Tweet ID: ${tweetIds[0]}`);
+        scheduler.setPhase(scheduler.running ? 'waiting' : 'success');
+        return postHistory.update(historyId, {
+          tweetIds, tweetId: tweetIds[0], status: 'posted', error: null, statusCode: 201
+        });
+      } catch (error) {
+        // Network and auth errors carry no failedPart: the first unposted part is where it stopped
+        const failedPart = error.failedPart ?? (error.tweetIds || alreadyPosted).length;
+        scheduler.emit('Twitter', `Resume failed at part ${failedPart + 1}/${entry.parts.length}: ${error.message}`, 'error');
+        scheduler.setPhase('error');
+        postHistory.update(historyId, {
+          tweetIds: error.tweetIds || alreadyPosted, tweetId: (error.tweetIds || alreadyPosted)[0] || null,
+          error: error.message, statusCode: error.status || null
+        });
+        if (error.rateLimited) scheduler.pauseForRateLimit(error);
+        throw error;
+      } finally {
+        scheduler.cycleInProgress = false;
+      }
+    },
+
+    // One autopilot pass. `manual` marks "Run Once" from the UI.
+    // Nothing runs while paused; "Resume Now" lifts the pause first.
+    runCycle: async ({ manual = false } = {}) => {
+      if (scheduler.cycleInProgress) {
+        scheduler.emit('Autopilot', 'Previous cycle still in progress. Skipping.', 'warning');
+        return null;
+      }
+      if (scheduler.isPaused()) {
+        scheduler.emit('Autopilot', `Paused until ${new Date(scheduler.pausedUntil).toLocaleString()}. Skipping this cycle.`, 'warning');
+        return null;
+      }
+
+      scheduler.cycleInProgress = true;
+      try {
+        if (store.get('approvalMode', false)) {
+          await scheduler.runApprovalCycle({ manual });
+        } else {
+          await scheduler.runDirectCycle({ manual });
+        }
+        scheduler.setPhase(scheduler.running ? 'waiting' : 'success');
+      } catch (error) {
+        scheduler.setPhase('error');
+      } finally {
+        scheduler.cycleInProgress = false;
+      }
+
+      return scheduler.lastResult;
+    },
+
+    // Generate -> post straight away
+    runDirectCycle: async ({ manual }) => {
+      // Don't spend a generation on a post that cannot go out
+      const thread = getThreadSettings();
+      if (scheduler.holdForQuota(thread.enabled ? thread.maxParts : 1)) return;
+
+      const topic = scheduler.pickTopic();
+      if (!topic) return;
+
+      scheduler.emit('Autopilot', `Cycle starting. Selected topic: ${topic}`);
+      scheduler.sendCycle({ phase: 'started', topic, manual });
+
+      let text;
+      let parts;
+      let prompt;
+      try {
+        ({ text, parts, prompt } = await scheduler.generate(topic, { manual }));
+      } catch (error) {
+        scheduler.lastResult = { success: false, topic, text: null, error: error.message, time: Date.now() };
+        scheduler.sendCycle({ phase: 'failed', topic, text: null, error: error.message, manual });
+        throw error;
+      }
+      scheduler.sendCycle({ phase: 'generated', topic, text, manual });
+
+      // Small delay between generating and posting
+      await new Promise(resolve => setTimeout(resolve, POST_DELAY_MS));
+      await scheduler.publish({ topic, prompt, text, parts, manual });
+    },
+
+    // Approval mode: post the oldest approved draft, then top up the review queue.
+    // "Run Once" only drafts; approved items wait for a scheduled slot.
+    runApprovalCycle: async ({ manual }) => {
+      let approved = manual ? null : draftQueue.nextApproved(accountId);
+      // Over quota: keep the approved draft for later, but still draft new ones
+      if (approved && scheduler.holdForQuota(approved.parts ? approved.parts.length : 1)) approved = null;
+      let postError = null;
+
+      if (approved) {
+        scheduler.emit('Autopilot', `Cycle starting. Posting approved draft for topic: ${approved.topic}`);
+        scheduler.sendCycle({ phase: 'started', topic: approved.topic, manual });
+        try {
+          await scheduler.publish({
+            topic: approved.topic, prompt: approved.prompt, text: approved.text,
+            parts: approved.parts, media: approved.media, manual
+          });
+          draftQueue.remove(approved.id);
+        } catch (error) {
+          // A half-posted thread is resumed from History, never re-approved from the start
+          if (error.tweetIds && error.tweetIds.length > 0) {
+            draftQueue.remove(approved.id);
+            scheduler.emit('Drafts', 'Approved thread stopped partway. It left the queue; resume it from History.', 'error');
+          } else {
+            draftQueue.update(approved.id, { status: 'failed', error: error.message });
+            scheduler.emit('Drafts', `Approved draft could not be posted and is marked failed: ${error.message}`, 'error');
+          }
+          postError = error;
+        }
+      }
+
+      // Drafting goes ahead even after a failed post; each failure is reported on its own
+      let generateError = null;
+      if (draftQueue.pendingCount(accountId) >= MAX_PENDING_DRAFTS) {
+        scheduler.emit('Drafts', `Review queue is full (${MAX_PENDING_DRAFTS} pending). Skipping generation.`, 'warning');
+      } else {
+        const topic = scheduler.pickTopic();
+        if (topic) {
+          if (!approved) {
+            scheduler.emit('Autopilot', `Cycle starting. Drafting for topic: ${topic}`);
+            scheduler.sendCycle({ phase: 'started', topic, manual });
+          }
+          try {
+            const { text, parts, prompt } = await scheduler.generate(topic, { manual });
+            draftQueue.add({ accountId, topic, prompt, text, parts });
+            scheduler.emit('Drafts', 'New draft waiting for approval.');
+            scheduler.sendCycle({ phase: 'drafted', topic, text, manual });
+          } catch (error) {
+            generateError = error;
+            // The post failure stays the cycle's result when both went wrong
+            if (!postError) {
+              scheduler.lastResult = { success: false, topic, text: null, error: error.message, time: Date.now() };
+              scheduler.sendCycle({ phase: 'failed', topic, text: null, error: error.message, manual });
+            }
+          }
+        }
+      }
+
+      if (postError || generateError) throw postError || generateError;
+    },
+
+    // Label of the next topic (what prompts, drafts and history use), or null
+    pickTopic: () => {
+      const topics = scheduler.getTopics();
+      if (topics.length === 0) {
+        scheduler.emit('System', 'Add (or enable) at least one topic first.', 'warning');
+        return null;
+      }
+      const topic = TopicSelection.pick(accountId, topics);
+      if (!topic) scheduler.emit('Autopilot', 'Every topic is cooling down. Skipping this cycle.', 'warning');
+      return topic ? topic.label : null;
+    }
+  };
+
+  return scheduler;
+}
+
+const schedulers = new Map();
+
+function getScheduler(accountId) {
+  if (!accountProfiles.get(accountId)) throw new Error('Account not found');
+  if (!schedulers.has(accountId)) schedulers.set(accountId, createScheduler(accountId));
+  return schedulers.get(accountId);
+}
+
+// --- Account IPC Handlers ---
+
+ipcMain.handle('accounts-list', async () => accountProfiles.list().map(accountProfiles.toPublic));
+
+ipcMain.handle('accounts-create', async (event, { name }) => {
+  const account = accountProfiles.create({ name: (name || '').trim() });
+  log.info(`Account created: ${account.name}`);
+  updateTray();
+  return accountProfiles.toPublic(account);
+});
+
+// Profile fields, post caps and (optionally) credentials; blank credential
+// fields keep their saved value
+ipcMain.handle('accounts-update', async (event, { id, name, persona, dailyCap, hourlyCap, authMethod, credentials }) => {
+  const changes = {};
+  if (authMethod !== undefined) {
+    if (!AUTH_METHODS.includes(authMethod)) throw new Error(`Unknown sign-in method: ${authMethod}`);
+    changes.authMethod = authMethod;
+  }
+  if (name !== undefined) changes.name = name.trim() || 'Untitled';
+  if (persona !== undefined) changes.persona = persona.trim();
+  if (dailyCap !== undefined) changes.dailyCap = Math.max(parseInt(dailyCap, 10) || 0, 0);
+  if (hourlyCap !== undefined) changes.hourlyCap = Math.max(parseInt(hourlyCap, 10) || 0, 0);
+
+  const account = accountProfiles.update(id, changes);
+  if (credentials) {
+    const entered = Object.fromEntries(Object.entries(credentials).filter(([, value]) => typeof value === 'string' && value.trim()));
+    accountProfiles.setCredentials(id, entered);
+  }
+  updateTray();
+  return accountProfiles.toPublic(account);
+});
+
+ipcMain.handle('accounts-delete', async (event, id) => {
+  if (accountProfiles.list().length <= 1) throw new Error('At least one account is required');
+
+  if (schedulers.has(id)) {
+    schedulers.get(id).stop();
+    schedulers.delete(id);
+  }
+  draftQueue.removeForAccount(id);
+  scheduledPosts.removeForAccount(id);
+  accountProfiles.remove(id);
+  log.info(`Account deleted: ${id}`);
+  updateTray();
+  return true;
+});
+
+// --- Account Sign-in IPC Handlers ---
+// "Connect with X": only the app's API key and secret are entered by hand; the
+// access token and secret come from the PIN flow (twitterOAuthRequest).
+
+// Request tokens waiting for their PIN, by account
+const pendingSignIns = new Map();
+
+// Save the consumer keys if given, get a request token and open X's authorize page
+ipcMain.handle('accounts-signin-start', async (event, { accountId, consumerKey, consumerSecret }) => {
+  if (consumerKey && consumerKey.trim() && consumerSecret && consumerSecret.trim()) {
+    accountProfiles.setCredentials(accountId, { twitterConsumerKey: consumerKey.trim(), twitterConsumerSecret: consumerSecret.trim() });
+  }
+  const { twitterConsumerKey, twitterConsumerSecret } = accountProfiles.getCredentials(accountId);
+  if (!twitterConsumerKey || !twitterConsumerSecret) throw new Error('Enter the app\'s API Key and API Secret first');
+
+  const requestToken = await twitterOAuthRequest(
+    '/oauth/request_token',
+    { consumerKey: twitterConsumerKey, consumerSecret: twitterConsumerSecret },
+    { oauth_callback: 'oob' }
+  );
+  if (requestToken.oauth_callback_confirmed !== 'true') throw new Error('X did not accept the PIN-based callback');
+
+  pendingSignIns.set(accountId, { token: requestToken.oauth_token, secret: requestToken.oauth_token_secret });
+  const authorizeUrl = `${apiUrl('twitterApi', '/oauth/authorize')}?oauth_token=${encodeURIComponent(requestToken.oauth_token)}`;
+  await shell.openExternal(authorizeUrl);
+  return { authorizeUrl };
+});
+
+// Exchange the PIN for the account's access token and secret
+ipcMain.handle('accounts-signin-complete', async (event, { accountId, pin }) => {
+  const pending = pendingSignIns.get(accountId);
+  if (!pending) throw new Error('No sign-in in progress. Start again.');
+
+  const verifier = String(pin || '').trim();
+  if (!/^\d+$/.test(verifier)) throw new Error('Enter the numeric PIN shown by X');
+
+  const { twitterConsumerKey, twitterConsumerSecret } = accountProfiles.getCredentials(accountId);
+  let access;
+  try {
+    access = await twitterOAuthRequest(
+      '/oauth/access_token',
+      { consumerKey: twitterConsumerKey, consumerSecret: twitterConsumerSecret, accessToken: pending.token, tokenSecret: pending.secret },
+      { oauth_verifier: verifier }
+    );
+  } catch (error) {
+    if (error.status === 401) throw new Error('X rejected the PIN. It may be mistyped or expired; start the sign-in again if it keeps failing.');
+    throw error;
+  }
+  pendingSignIns.delete(accountId);
+
+  accountProfiles.setCredentials(accountId, { twitterAccessToken: access.oauth_token, twitterTokenSecret: access.oauth_token_secret });
+  const account = accountProfiles.update(accountId, { screenName: access.screen_name || null, twitterUserId: access.user_id || null });
+  emitLog('System', `Connected to X as @${access.screen_name}.`, 'info', accountId);
+  return accountProfiles.toPublic(account);
+});
+
+// OAuth 2.0: save the client ID/secret, sign in through the browser and switch the account to Bearer auth
+ipcMain.handle('accounts-oauth2-connect', async (event, { accountId, clientId, clientSecret }) => {
+  // Blank fields keep the saved client ID/secret
+  if (clientId && clientId.trim()) {
+    accountProfiles.setCredentials(accountId, {
+      twitterClientId: clientId.trim(),
+      ...(clientSecret && clientSecret.trim() && { twitterClientSecret: clientSecret.trim() })
+    });
+  }
+
+  const user = await OAuth2.signIn(accountId);
+  const account = accountProfiles.update(accountId, { authMethod: 'oauth2', screenName: user.username, twitterUserId: user.id });
+  emitLog('System', `Connected to X as @${user.username} (OAuth 2.0).`, 'info', accountId);
+  return accountProfiles.toPublic(account);
+});
+
+// --- Autopilot IPC Handlers ---
+
+ipcMain.handle('autopilot-start', async (event, accountId) => getScheduler(accountId).start());
+
+ipcMain.handle('autopilot-stop', async (event, accountId) => getScheduler(accountId).stop());
+
+// Status of every account, including ones that never started
+ipcMain.handle('autopilot-status', async () => {
+  return accountProfiles.list().map(account => getScheduler(account.id).getStatus());
+});
+
+// Run a single cycle; progress is pushed through autopilot-* events
+ipcMain.handle('autopilot-run-once', async (event, accountId) => {
+  getScheduler(accountId).runCycle({ manual: true });
+  return true;
+});
+
+// --- Draft Queue IPC Handlers ---
+
+ipcMain.handle('drafts-list', async () => draftQueue.list());
+
+// Edit text; an edited draft goes back to pending review. Thread drafts keep
+// blank-line part breaks, and any text over the limit is split into a thread.
+ipcMain.handle('drafts-update', async (event, { id, text }) => {
+  if (!text || !text.trim()) throw new Error('Draft text cannot be empty');
+
+  const draft = draftQueue.get(id);
+  if (!draft) throw new Error('Draft not found');
+
+  const parts = Threads.split(text, { numbering: getThreadSettings().numbering, paragraphs: !!draft.parts });
+  return draftQueue.update(id, {
+    text: parts.join('\n\n'),
+    parts: parts.length > 1 ? parts : null,
+    status: 'pending',
+    error: null
+  });
+});
+
+// Attach media ({ path, altText }) to a draft
+ipcMain.handle('drafts-set-media', async (event, { id, media }) => {
+  const cleaned = sanitizeMedia(media);
+  validateMedia(cleaned);
+  return draftQueue.update(id, { media: cleaned });
+});
+
+ipcMain.handle('drafts-approve', async (event, id) => {
+  const draft = draftQueue.update(id, { status: 'approved', approvedAt: Date.now(), error: null });
+  emitLog('Drafts', `Draft approved for topic: ${draft.topic}. It will post at the next slot.`, 'info', draft.accountId);
+  return draft;
+});
+
+ipcMain.handle('drafts-discard', async (event, id) => {
+  draftQueue.remove(id);
+  return true;
+});
+
+ipcMain.handle('drafts-regenerate', async (event, id) => {
+  const draft = draftQueue.get(id);
+  if (!draft) throw new Error('Draft not found');
+
+  // Generation drives the scheduler's phase, so it must not overlap a cycle
+  const scheduler = getScheduler(draft.accountId);
+  if (scheduler.cycleInProgress) throw new Error('A cycle is running for this account. Try again when it finishes.');
+
+  scheduler.cycleInProgress = true;
+  try {
+    const { text, parts, prompt } = await scheduler.generate(draft.topic, { manual: true });
+    return draftQueue.update(id, { text, parts, prompt, status: 'pending', error: null });
+  } finally {
+    scheduler.cycleInProgress = false;
+    scheduler.setPhase(scheduler.running ? 'waiting' : 'idle');
+  }
+});
+
+// Approval mode toggle
+ipcMain.handle('store-get-approval-mode', async () => {
+  return store.get('approvalMode', false);
+});
+
+ipcMain.handle('store-set-approval-mode', async (event, enabled) => {
+  store.set('approvalMode', enabled);
+  emitLog('System', `Approval mode ${enabled ? 'enabled: generated tweets wait for review' : 'disabled: generated tweets post directly'}.`);
+  return true;
+});
+
+// --- Media IPC Handlers ---
+
+// Paths returned by the picker this session. Attachments coming from the
+// renderer must be one of these or already be on a stored draft or scheduled
+// post, so the renderer cannot have arbitrary files uploaded.
+const pickedMediaPaths = new Set();
+
+function isPickedMedia(filePath) {
+  if (pickedMediaPaths.has(filePath)) return true;
+  const attached = [...draftQueue.list(), ...scheduledPosts.list()].flatMap(item => item.media || []);
+  return attached.some(item => item.path === filePath);
+}
+
+// Keep only the fields we store for an attachment
+function sanitizeMedia(media) {
+  return (Array.isArray(media) ? media : [])
+    .filter(item => item && typeof item.path === 'string')
+    .map(item => {
+      if (!isPickedMedia(item.path)) throw new Error(`${path.basename(item.path)} was not attached through the file picker`);
+      return { path: item.path, altText: String(item.altText || '') };
+    });
+}
+
+// Native file picker; the renderer never sees the filesystem directly
+ipcMain.handle('media-pick', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Attach media',
+    properties: ['openFile', 'multiSelections'],
+    filters: [
+      { name: 'Images, GIFs and videos', extensions: Object.keys(MEDIA_TYPES).map(ext => ext.slice(1)) }
+    ]
+  });
+  if (result.canceled) return [];
+
+  return Promise.all(result.filePaths.map(async (filePath) => {
+    pickedMediaPaths.add(filePath);
+    const { size } = await fs.promises.stat(filePath);
+    return { path: filePath, name: path.basename(filePath), size, altText: '' };
+  }));
+});
+
+// --- Thread IPC Handlers ---
+
+// Preview how pasted text will be split (final text of each part)
+ipcMain.handle('thread-split', async (event, text) => {
+  const { numbering } = getThreadSettings();
+  return Threads.finalize(Threads.split(text, { numbering }), { numbering });
+});
+
+// Weighted length as X counts it, for the composer counter
+ipcMain.handle('tweet-count', async (event, text) => TweetLength.count(text));
+
+// Post pasted text; anything over the limit goes out as a thread
+// (also used by the control API and scheduled posts). Only `manual` posts,
+// typed in the composer, fall back to the Web Intent when they fail.
+async function postText({ accountId, text, media = [], manual = false }) {
+  const parts = Threads.split(text, { numbering: getThreadSettings().numbering });
+  if (parts.length === 0) throw new Error('Nothing to post');
+
+  const scheduler = getScheduler(accountId);
+  try {
+    const tweetId = await scheduler.publish({
+      topic: null, text: parts.join('\n\n'), parts: parts.length > 1 ? parts : null,
+      media: sanitizeMedia(media), manual
+    });
+    scheduler.setPhase(scheduler.running ? 'waiting' : 'success');
+    return { success: true, tweetId };
+  } catch (error) {
+    scheduler.setPhase('error');
+    return { success: false, error: error.message, rateLimited: !!error.rateLimited, resetAt: error.resetAt || null };
+  }
+}
+
+ipcMain.handle('thread-post', async (event, params) => postText({ ...params, manual: true }));
+
+ipcMain.handle('store-get-thread-settings', async () => getThreadSettings());
+
+ipcMain.handle('store-save-thread-settings', async (event, settings) => {
+  // A thread must fit every account's hourly and daily cap to ever go out
+  const caps = accountProfiles.list().flatMap(account => [account.hourlyCap, account.dailyCap]).filter(cap => cap > 0);
+  const maxParts = Math.max(Math.min(parseInt(settings.maxParts, 10) || DEFAULT_THREAD_SETTINGS.maxParts, 25, ...caps), 2);
+  const saved = { enabled: !!settings.enabled, maxParts, numbering: !!settings.numbering };
+  store.set('threadSettings', saved);
+  log.info(`Thread settings saved: ${JSON.stringify(saved)}`);
+  return saved;
+});
+
+// --- Topic Import / Export IPC Handlers ---
+
+ipcMain.handle('topics-export', async (event, { accountId, format = 'json' }) => {
+  const account = accountProfiles.get(accountId);
+  if (!account) throw new Error('Account not found');
+
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export topics',
+    defaultPath: `${account.name.replace(/[^\w.-]+/g, '_')}-topics.${format}`,
+    filters: [format === 'csv' ? { name: 'CSV', extensions: ['csv'] } : { name: 'JSON', extensions: ['json'] }]
+  });
+  if (result.canceled || !result.filePath) return null;
+
+  const topics = account.topics || [];
+  const contents = format === 'csv' ? Topics.toCsv(topics) : JSON.stringify(topics, null, 2);
+  await fs.promises.writeFile(result.filePath, contents, 'utf8');
+  log.info(`Exported ${topics.length} topics to ${result.filePath}`);
+  return { filePath: result.filePath, count: topics.length };
+});
+
+// Topics whose label already exists are skipped
+ipcMain.handle('topics-import', async (event, accountId) => {
+  const account = accountProfiles.get(accountId);
+  if (!account) throw new Error('Account not found');
+
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import topics',
+    properties: ['openFile'],
+    filters: [{ name: 'Topics (CSV or JSON)', extensions: ['csv', 'json'] }]
+  });
+  if (result.canceled || result.filePaths.length === 0) return null;
+
+  const filePath = result.filePaths[0];
+  const text = await fs.promises.readFile(filePath, 'utf8');
+  const format = path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'csv';
+  const imported = Topics.parseImport(text.replace(/^\uFEFF/, ''), format);
+  const { topics, added } = Topics.merge(account.topics || [], imported);
+
+  accountProfiles.update(accountId, { topics });
+  log.info(`Imported ${added} of ${imported.length} topics from ${filePath}`);
+  return { topics, added, skipped: imported.length - added };
+});
+
+// --- Topic Selection IPC Handlers ---
+
+ipcMain.handle('store-get-topic-selection', async (event, accountId) => ({
+  ...TopicSelection.getSettings(accountId),
+  lastUsed: TopicSelection.getLastUsed(accountId)
+}));
+
+ipcMain.handle('store-save-topic-selection', async (event, { accountId, selection }) => {
+  const saved = TopicSelection.saveSettings(accountId, selection);
+  log.info(`Topic selection saved for ${accountId}: ${saved.strategy}`);
+  return { ...saved, lastUsed: TopicSelection.getLastUsed(accountId) };
+});
+
+// --- Prompt Template IPC Handlers ---
+
+ipcMain.handle('prompt-templates-get', async () => ({
+  ...PromptTemplates.get(),
+  builtIn: DEFAULT_PROMPT_TEMPLATE
+}));
+
+ipcMain.handle('prompt-templates-save', async (event, templates) => {
+  const saved = PromptTemplates.save(templates);
+  log.info(`Prompt templates saved (${Object.keys(saved.topics).length} topic overrides)`);
+  return saved;
+});
+
+// Render a (possibly unsaved) template with live variables for the editor preview
+ipcMain.handle('prompt-preview', async (event, { accountId, topic, template }) => {
+  return PromptTemplates.build(topic || 'Example topic', accountId, template || DEFAULT_PROMPT_TEMPLATE);
+});
+
+// --- Activity Log IPC Handlers ---
+
+ipcMain.handle('logs-list', async (event, filters) => activityLog.search(filters));
+
+// Messages raised in the renderer go through the same log
+ipcMain.handle('logs-add', async (event, { source, message, level, accountId = null, payload = null }) => {
+  return emitLog(source, message, level, accountId, payload);
+});
+
+// One JSON object per line, oldest first, honouring the console filters
+ipcMain.handle('logs-export', async (event, filters) => {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export activity log',
+    defaultPath: `activity-log-${new Date().toISOString().slice(0, 10)}.jsonl`,
+    filters: [{ name: 'JSON Lines', extensions: ['jsonl'] }]
+  });
+  if (result.canceled || !result.filePath) return null;
+
+  const entries = activityLog.search(filters).reverse();
+  await fs.promises.writeFile(result.filePath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n', 'utf8');
+  log.info(`Exported ${entries.length} log entries to ${result.filePath}`);
+  return { filePath: result.filePath, count: entries.length };
+});
+
+ipcMain.handle('logs-clear', async () => {
+  activityLog.clear();
+  return true;
+});
+
+// --- History IPC Handlers ---
+
+ipcMain.handle('history-search', async (event, filters) => postHistory.search(filters));
+
+ipcMain.handle('history-resume-thread', async (event, id) => {
+  const entry = postHistory.get(id);
+  if (!entry) throw new Error('Thread not found in history');
+  return getScheduler(entry.accountId).resumeThread(id);
+});
+
+ipcMain.handle('history-clear', async () => {
+  postHistory.clear();
+  log.info('Post history cleared');
+  return true;
+});
+
+// --- Webhook IPC Handlers ---
+
+ipcMain.handle('webhooks-get', async () => webhooks.list().map(webhooks.toPublic));
+
+ipcMain.handle('webhooks-save', async (event, hooks) => webhooks.save(hooks || []));
+
+// Send a "test" event to one saved hook and return its delivery record
+ipcMain.handle('webhooks-test', async (event, id) => {
+  const hook = webhooks.list().find(candidate => candidate.id === id);
+  if (!hook) throw new Error('Save the webhook before testing it');
+  return webhooks.deliver(hook, 'test', accountProfiles.list()[0] || null, { message: 'Webhook test' });
+});
 
-// --- OAuth 1.0a Helper (Node.js version) ---
-const OAuth = {
-  percentEncode: (str) => {
-    return encodeURIComponent(str)
-      .replace(/!/g, '%21')
-      .replace(/\*/g, '%2A')
-      .replace(/'/g, '%27')
-      .replace(/\(/g, '%28')
-      .replace(/\)/g, '%29');
-  },
+ipcMain.handle('webhooks-deliveries', async () => webhooks.deliveries());
 
-  getNonce: () => {
-    return crypto.randomBytes(16).toString('hex'); // Generate random nonce
-  },
+ipcMain.handle('webhooks-deliveries-clear', async () => {
+  deliveryStore.set('entries', []);
+  return true;
+});
 
-  getTimestamp: () => {
-    return Math.floor(Date.now() / 1000).toString();
-  },
+// --- Manual Composer ---
+// Hand-written posts: an optional AI rewrite, Post Now (postText) and one-off
+// posts scheduled for a date and time. Scheduled posts persist in the config
+// store; one timer is armed for the earliest, and it is re-armed at start-up so
+// posts that came due while the app was closed go out on the next launch.
+
+
+function buildImprovePrompt(text, persona) {
+  const isThread = !TweetLength.count(text).valid;
+  return `
+        You are ${persona || DEFAULT_PERSONA}. Improve this post for X (Twitter):
+        "${text}"
+        - Keep its meaning, language and any links, @mentions and hashtags.
+        - Make it clearer and more engaging; fix grammar and spelling.
+        - ${isThread
+    ? 'It is long and will be posted as a thread: keep a similar length and separate the parts with blank lines.'
+    : `Keep it under ${TWEET_MAX_CHARS - 20} characters.`}
+        - No quotes around the post.
+        - Just output the post text.
+      `;
+}
 
-  generateSignature: (method, url, params, consumerSecret, tokenSecret) => {
-    const sortedKeys = Object.keys(params).sort();
-    let paramString = '';
-    
-    sortedKeys.forEach((key, index) => {
-      paramString += `${key}=${OAuth.percentEncode(params[key])}`;
-      if (index < sortedKeys.length - 1) paramString += '&';
-    });
+const scheduledPosts = {
+  timer: null,
+  posting: false,
 
-    const signatureBase = `${method.toUpperCase()}&${OAuth.percentEncode(url)}&${OAuth.percentEncode(paramString)}`;
-    const signingKey = `${OAuth.percentEncode(consumerSecret)}&${OAuth.percentEncode(tokenSecret)}`;
-    
-    return crypto.createHmac('sha1', signingKey).update(signatureBase).digest('base64');
-  }
-};
+  // [{ id, accountId, text, media, at, retryAt, status: scheduled | failed, error, createdAt }], soonest first.
+  // `retryAt` is set when a rate limit or cap held the post back.
+  list: () => store.get('scheduledPosts', []),
 
-// --- IPC Handlers ---
+  dueAt: (post) => post.retryAt || post.at,
 
-// 1. Gemini Generation Handler
-ipcMain.handle('gemini-generate', async (event, { apiKey, prompt }) => {
-  if (!apiKey) throw new Error('Missing Gemini API Key');
+  save: (posts) => {
+    const sorted = [...posts].sort((a, b) => a.at - b.at);
+    store.set('scheduledPosts', sorted);
+    sendToWindow('scheduled-posts-updated', sorted);
+    scheduledPosts.arm();
+    return sorted;
+  },
 
-  const maxRetries = 3;
-  let delay = 2000;
+  add: ({ accountId, text, media = [], at }) => {
+    if (!accountProfiles.get(accountId)) throw new Error('Account not found');
+    if (!text || !text.trim()) throw new Error('Nothing to post');
+    const time = Number(at);
+    if (!time || time <= Date.now()) throw new Error('Pick a time in the future');
+
+    const cleaned = sanitizeMedia(media);
+    validateMedia(cleaned);
+    const post = { id: crypto.randomUUID(), accountId, text: text.trim(), media: cleaned, at: time, status: 'scheduled', error: null, createdAt: Date.now() };
+    scheduledPosts.save([...scheduledPosts.list(), post]);
+    emitLog('Composer', `Post scheduled for ${new Date(time).toLocaleString()}.`, 'info', accountId);
+    return post;
+  },
 
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const response = await fetch(
-        `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`,
-        {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ contents: [{ parts: [{ text: prompt }] }] }),
-          signal: AbortSignal.timeout(30000) // 30 second timeout
-        }
-      );
+  remove: (id) => scheduledPosts.save(scheduledPosts.list().filter(post => post.id !== id)),
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        log.error(`Gemini API Error (Attempt ${attempt}):`, errorText);
-        
-        // Retry on 503 Service Unavailable
-        if (response.status === 503 && attempt < maxRetries) {
-          log.info(`Gemini model overloaded. Retrying in ${delay}ms...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-          delay *= 2; // Exponential backoff
-          continue;
-        }
+  removeForAccount: (accountId) => scheduledPosts.save(scheduledPosts.list().filter(post => post.accountId !== accountId)),
+
+  // Arm one timer for the earliest pending post
+  arm: () => {
+    if (scheduledPosts.timer) clearTimeout(scheduledPosts.timer);
+    scheduledPosts.timer = null;
+    if (scheduledPosts.posting) return; // postDue re-arms when it finishes
+
+    const pending = scheduledPosts.list().filter(post => post.status === 'scheduled');
+    if (pending.length === 0) return;
+    const next = Math.min(...pending.map(scheduledPosts.dueAt));
+    const delay = Math.min(Math.max(next - Date.now(), 0), MAX_TIMER_MS);
+    scheduledPosts.timer = setTimeout(() => scheduledPosts.postDue(), delay);
+  },
+
+  // Post everything that is due, one at a time. Successes leave the list (they
+  // are in History); posts held back by a rate limit or cap stay scheduled and
+  // retry when it resets; other failures stay, marked with their error.
+  postDue: async () => {
+    scheduledPosts.timer = null;
+    scheduledPosts.posting = true;
+    const due = scheduledPosts.list().filter(post => post.status === 'scheduled' && scheduledPosts.dueAt(post) <= Date.now());
 
-        throw new Error(`Gemini API Error: ${response.status} ${response.statusText} - ${errorText}`);
+    for (const post of due) {
+      let result;
+      try {
+        if (!accountProfiles.get(post.accountId)) throw new Error('Account no longer exists');
+        const tweets = Threads.split(post.text, { numbering: getThreadSettings().numbering }).length;
+        const block = rateLimits.check(post.accountId, tweets);
+        if (block) throw rateLimitError(block);
+
+        const late = Date.now() - post.at > 5 * 60 * 1000;
+        emitLog('Composer', `Posting scheduled post${late ? ` (was due ${new Date(post.at).toLocaleString()})` : ''}...`, 'info', post.accountId);
+        result = await postText({ accountId: post.accountId, text: post.text, media: post.media, manual: false });
+      } catch (error) {
+        result = { success: false, error: error.message, rateLimited: !!error.rateLimited, resetAt: error.resetAt };
       }
 
-      const data = await response.json();
-      return data;
-    } catch (error) {
-      log.error(`Gemini Generate Error (Attempt ${attempt}):`, error);
-      if (attempt === maxRetries) throw error;
-      
-      // Retry on network errors
-      log.info(`Network error occurred. Retrying in ${delay}ms...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
-      delay *= 2;
+      const remaining = scheduledPosts.list().filter(candidate => candidate.id !== post.id);
+      if (result.success) {
+        scheduledPosts.save(remaining);
+      } else if (result.rateLimited) {
+        const retryAt = result.resetAt && result.resetAt > Date.now() ? result.resetAt : Date.now() + RATE_LIMIT_FALLBACK_MS;
+        emitLog('Composer', `${result.error} The scheduled post will go out then.`, 'warning', post.accountId);
+        scheduledPosts.save([...remaining, { ...post, retryAt, error: result.error }]);
+      } else {
+        scheduledPosts.save([...remaining, { ...post, status: 'failed', error: result.error }]);
+      }
     }
+
+    scheduledPosts.posting = false;
+    scheduledPosts.arm();
   }
+};
+
+// --- Composer IPC Handlers ---
+
+// AI rewrite of hand-written text in the account's persona
+ipcMain.handle('compose-improve', async (event, { accountId, text }) => {
+  if (!text || !text.trim()) throw new Error('Write something first');
+  const { persona } = accountProfiles.get(accountId) || {};
+  const { text: improved } = await generateText(buildImprovePrompt(text.trim(), persona));
+  // Single tweets get the usual shorten-then-trim pass; long text stays a thread
+  return TweetLength.count(text.trim()).valid ? getScheduler(accountId).fitLength(improved) : improved;
 });
 
-// 2. Twitter Post Handler
-ipcMain.handle('twitter-post', async (event, { keys, text }) => {
-  const { consumerKey, consumerSecret, accessToken, tokenSecret } = keys;
-  
-  log.debug('Twitter Auth Debug:', {
-    consumerKeyPrefix: consumerKey?.substring(0, 4),
-    accessTokenPrefix: accessToken?.substring(0, 4),
-    hasConsumerSecret: !!consumerSecret,
-    hasTokenSecret: !!tokenSecret
-  });
-  
-  if (!consumerKey || !consumerSecret || !accessToken || !tokenSecret) {
-    throw new Error('Missing Twitter Credentials');
-  }
+ipcMain.handle('scheduled-posts-list', async () => scheduledPosts.list());
 
-  const method = 'POST';
-  const url = 'https://api.twitter.com/2/tweets';
-  
-  const maxRetries = 3;
-  let delay = 2000;
+ipcMain.handle('scheduled-posts-add', async (event, post) => scheduledPosts.add(post));
 
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const oauthParams = {
-        oauth_consumer_key: consumerKey,
-        oauth_token: accessToken,
-        oauth_signature_method: 'HMAC-SHA1',
-        oauth_timestamp: OAuth.getTimestamp(),
-        oauth_nonce: OAuth.getNonce(),
-        oauth_version: '1.0'
-      };
+ipcMain.handle('scheduled-posts-remove', async (event, id) => {
+  scheduledPosts.remove(id);
+  return true;
+});
 
-      const signature = OAuth.generateSignature(
-        method,
-        url,
-        oauthParams,
-        consumerSecret,
-        tokenSecret
-      );
+// --- Control API ---
+// Opt-in HTTP server for scripts and other tools. It only listens on
+// 127.0.0.1 and every request needs the token shown in Settings, sent as
+// "Authorization: Bearer <token>". Requests and responses are JSON.
 
-      const authHeader = `OAuth oauth_consumer_key="${oauthParams.oauth_consumer_key}",oauth_token="${oauthParams.oauth_token}",oauth_signature_method="HMAC-SHA1",oauth_timestamp="${oauthParams.oauth_timestamp}",oauth_nonce="${oauthParams.oauth_nonce}",oauth_version="1.0",oauth_signature="${OAuth.percentEncode(signature)}"`;
+const DEFAULT_CONTROL_API = { enabled: false, port: 3917 };
+const MAX_API_BODY_BYTES = 1024 * 1024;
 
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Authorization': authHeader,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ text }),
-        signal: AbortSignal.timeout(30000) // 30 second timeout
-      });
+function getControlApiSettings() {
+  return { ...DEFAULT_CONTROL_API, ...store.get('controlApi', {}) };
+}
 
-      if (!response.ok) {
-        // Try to get error details
-        const errorText = await response.text();
-        log.error(`Twitter API Error (Attempt ${attempt}):`, errorText);
-        
-        // Don't retry on client errors (4xx) except maybe 429
-        if (response.status >= 400 && response.status < 500 && response.status !== 429) {
-          throw new Error(`Twitter API Error: ${response.status} ${response.statusText} - ${errorText}`);
-        }
+// Error with the HTTP status the control API should answer with
+function createHttpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
 
-        if (attempt < maxRetries) {
-          log.info(`Twitter API error ${response.status}. Retrying in ${delay}ms...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-          delay *= 2;
-          continue;
-        }
+// Account by id or name; the first account when none is given
+function resolveApiAccount(value) {
+  const accounts = accountProfiles.list();
+  const account = value
+    ? accounts.find(candidate => candidate.id === value || candidate.name.toLowerCase() === String(value).toLowerCase())
+    : accounts[0];
+  if (!account) throw createHttpError(404, `Account not found: ${value}`);
+  return account.id;
+}
 
-        throw new Error(`Twitter API Error: ${response.status} ${response.statusText} - ${errorText}`);
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_API_BODY_BYTES) {
+        // Drain the rest unbuffered so the client still gets the 413
+        req.removeAllListeners('data');
+        req.resume();
+        reject(createHttpError(413, 'Request body too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > MAX_API_BODY_BYTES) return;
+      const raw = Buffer.concat(chunks).toString('utf8').trim();
+      if (!raw) return resolve({});
+      try {
+        resolve(JSON.parse(raw));
+      } catch (error) {
+        reject(createHttpError(400, 'Body must be JSON'));
       }
+    });
+    req.on('error', reject);
+  });
+}
 
-      const data = await response.json();
-      return data;
-    } catch (error) {
-      log.error(`Twitter Post Error (Attempt ${attempt}):`, error);
-      if (attempt === maxRetries) throw error;
-      
-      log.info(`Network error or timeout. Retrying in ${delay}ms...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
-      delay *= 2;
+// "METHOD /path" -> handler({ query, body }); the return value is sent as JSON
+const CONTROL_API_ROUTES = {
+  'GET /accounts': () => accountProfiles.list().map(account => {
+    const { id, name, hasCredentials } = accountProfiles.toPublic(account);
+    return { id, name, hasCredentials };
+  }),
+
+  // Autopilot status and next run of every account (or ?account=)
+  'GET /status': ({ query }) => {
+    const ids = query.account ? [resolveApiAccount(query.account)] : accountProfiles.list().map(account => account.id);
+    return ids.map(id => getScheduler(id).getStatus());
+  },
+
+  'POST /autopilot/start': ({ body }) => getScheduler(resolveApiAccount(body.account)).start(),
+
+  'POST /autopilot/stop': ({ body }) => getScheduler(resolveApiAccount(body.account)).stop(),
+
+  // Runs in the background like a scheduled cycle; poll /status or /history for the outcome.
+  // Not `manual`: nobody is at the desktop to finish a failed post in the browser.
+  'POST /autopilot/run-once': ({ body }) => {
+    getScheduler(resolveApiAccount(body.account)).runCycle({ manual: false });
+    return { started: true };
+  },
+
+  'GET /history': ({ query }) => postHistory.search({
+    query: query.q || '',
+    status: query.status || 'all',
+    accountId: query.account ? resolveApiAccount(query.account) : 'all',
+    limit: Math.min(parseInt(query.limit, 10) || 50, MAX_HISTORY_ENTRIES)
+  }),
+
+  // Generated text for { topic, account }, not posted
+  'POST /preview': async ({ body }) => {
+    if (!body.topic || !String(body.topic).trim()) throw createHttpError(400, 'topic is required');
+    const preview = await getScheduler(resolveApiAccount(body.account)).preview(String(body.topic).trim());
+    return { ...preview, length: TweetLength.count(preview.text) };
+  },
+
+  // { text, account, queue } posts now (as a thread when long), or adds a
+  // draft to the review queue when `queue` is true ("approved" to post at the next slot)
+  'POST /posts': async ({ body }) => {
+    const text = String(body.text || '').trim();
+    if (!text) throw createHttpError(400, 'text is required');
+    const accountId = resolveApiAccount(body.account);
+
+    if (body.queue) {
+      const parts = Threads.split(text, { numbering: getThreadSettings().numbering });
+      const draft = draftQueue.add({ accountId, topic: null, prompt: null, text: parts.join('\n\n'), parts: parts.length > 1 ? parts : null });
+      return body.queue === 'approved' ? draftQueue.update(draft.id, { status: 'approved', approvedAt: Date.now() }) : draft;
     }
+    return postText({ accountId, text, manual: false });
   }
-});
+};
 
-// --- Secure Storage Handlers ---
+const controlApi = {
+  server: null,
 
-// 1. Get Config - Decrypt sensitive data using OS-level encryption
-ipcMain.handle('store-get-config', async () => {
-  return {
-    geminiKey: secureStorage.get('geminiKey'),
-    twitterConsumerKey: secureStorage.get('twitterConsumerKey'),
-    twitterConsumerSecret: secureStorage.get('twitterConsumerSecret'),
-    twitterAccessToken: secureStorage.get('twitterAccessToken'),
-    twitterTokenSecret: secureStorage.get('twitterTokenSecret')
-  };
-});
+  getToken: () => {
+    let token = secureStorage.get('controlApiToken');
+    if (!token) token = controlApi.regenerateToken();
+    return token;
+  },
 
-// 2. Save Config - Encrypt sensitive data using OS-level encryption
-ipcMain.handle('store-save-config', async (event, config) => {
-  // Store each sensitive key individually using OS-level encryption
-  secureStorage.set('geminiKey', config.geminiKey || '');
-  secureStorage.set('twitterConsumerKey', config.twitterConsumerKey || '');
-  secureStorage.set('twitterConsumerSecret', config.twitterConsumerSecret || '');
-  secureStorage.set('twitterAccessToken', config.twitterAccessToken || '');
-  secureStorage.set('twitterTokenSecret', config.twitterTokenSecret || '');
-  return true;
-});
+  regenerateToken: () => {
+    const token = crypto.randomBytes(24).toString('hex');
+    secureStorage.set('controlApiToken', token);
+    return token;
+  },
 
-// 3. Get Topics
-ipcMain.handle('store-get-topics', async () => {
-  return store.get('topics', []);
-});
+  authorized: (req) => {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) return false;
+    const given = Buffer.from(match[1].trim());
+    const expected = Buffer.from(controlApi.getToken());
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  },
 
-// 4. Save Topics
-ipcMain.handle('store-save-topics', async (event, topics) => {
-  store.set('topics', topics);
-  return true;
-});
+  handle: async (req, res, port) => {
+    const send = (status, body) => {
+      // After an oversized body the connection is not worth keeping alive
+      res.writeHead(status, { 'Content-Type': 'application/json', ...(status === 413 ? { Connection: 'close' } : {}) });
+      res.end(JSON.stringify(body));
+    };
 
-// 5. Get Auto-Launch Preference
-ipcMain.handle('store-get-autolaunch', async () => {
-  return store.get('autoLaunch', false);
-});
+    // Web pages reaching us through DNS rebinding carry a foreign Host header
+    if (![`127.0.0.1:${port}`, `localhost:${port}`].includes(req.headers.host)) {
+      return send(403, { error: 'Forbidden host' });
+    }
+    if (!controlApi.authorized(req)) return send(401, { error: 'Missing or invalid token' });
 
-// 6. Set Auto-Launch Preference
-ipcMain.handle('store-set-autolaunch', async (event, enabled) => {
-  store.set('autoLaunch', enabled);
-  
-  // Update OS login item settings
-  app.setLoginItemSettings({
-    openAtLogin: enabled,
-    openAsHidden: false, // Show window on startup
-    args: []
-  });
-  
-  log.info(`Auto-launch ${enabled ? 'enabled' : 'disabled'}`);
-  return true;
-});
+    const url = new URL(req.url, `http://127.0.0.1:${port}`);
+    const route = CONTROL_API_ROUTES[`${req.method} ${url.pathname.replace(/\/+$/, '') || '/'}`];
+    if (!route) return send(404, { error: `No route for ${req.method} ${url.pathname}` });
+
+    try {
+      const body = req.method === 'POST' ? await readJsonBody(req) : {};
+      if (req.method === 'POST') emitLog('API', `${req.method} ${url.pathname}`);
+      send(200, await route({ query: Object.fromEntries(url.searchParams), body }));
+    } catch (error) {
+      log.error(`Control API ${req.method} ${url.pathname} failed:`, error);
+      send(error.statusCode || 500, { error: error.message });
+    }
+  },
+
+  // Start, restart or stop the server to match the saved settings
+  apply: () => {
+    controlApi.stop();
+    const { enabled, port } = getControlApiSettings();
+    if (!enabled) return;
+
+    const server = http.createServer((req, res) => controlApi.handle(req, res, port));
+    server.on('error', (error) => {
+      emitLog('API', `Control API could not start on port ${port}: ${error.message}`, 'error');
+      if (controlApi.server === server) controlApi.server = null;
+    });
+    server.listen(port, '127.0.0.1', () => emitLog('API', `Control API listening on http://127.0.0.1:${port}`));
+    controlApi.server = server;
+  },
+
+  stop: () => {
+    if (!controlApi.server) return;
+    controlApi.server.close();
+    controlApi.server = null;
+  }
+};
+
+ipcMain.handle('control-api-regenerate-token', async () => controlApi.regenerateToken());
 
 // --- Auto-Updater Event Handlers ---
 
@@ -333,6 +3450,7 @@ autoUpdater.on('checking-for-update', () => {
 autoUpdater.on('update-available', (info) => {
   log.info(`Update available: ${info.version}`);
   log.info(`Release notes: ${info.releaseNotes}`);
+  notifications.show('updates', { title: 'Update available', body: `Version ${info.version} is ready to download.` });
   
   // Notify main window about update
   if (mainWindow && !mainWindow.isDestroyed()) {
@@ -369,6 +3487,7 @@ autoUpdater.on('download-progress', (progressObj) => {
 autoUpdater.on('update-downloaded', (info) => {
   log.info(`Update downloaded: ${info.version}`);
   log.info('Update will be installed on app restart');
+  notifications.show('updates', { title: 'Update downloaded', body: `Version ${info.version} will be installed when the app restarts.` });
   
   if (mainWindow && !mainWindow.isDestroyed()) {
     mainWindow.webContents.send('update-downloaded', {
@@ -431,15 +3550,134 @@ function checkForUpdates() {
 }
 
 
-function createTray() {
+// --- System Tray ---
+// The tray menu mirrors autopilot state: start/stop, run once and pause per
+// account, plus the next run and the last result. It is rebuilt whenever a
+// scheduler broadcasts its status.
+
+const TRAY_STATE_COLORS = { running: [34, 197, 94], paused: [234, 179, 8], error: [239, 68, 68] }; // RGB status dots
+const trayIcons = {};
+
+function getTrayIconPath() {
   // Use favicon.ico for Windows, logo192.png for other platforms
-  const iconPath = process.platform === 'win32' 
+  return process.platform === 'win32' 
     ? path.join(__dirname, 'favicon.ico')
     : path.join(__dirname, 'logo192.png');
-  
-  tray = new Tray(iconPath);
-  
-  const contextMenu = Menu.buildFromTemplate([
+}
+
+// App icon with a colored status dot in the bottom-right corner (idle = plain icon)
+function getTrayIcon(state) {
+  if (trayIcons[state]) return trayIcons[state];
+
+  const size = 32;
+  const base = nativeImage.createFromPath(getTrayIconPath()).resize({ width: size, height: size });
+  const color = TRAY_STATE_COLORS[state];
+  if (!color || base.isEmpty()) {
+    trayIcons[state] = base;
+    return base;
+  }
+
+  // Raw pixels are BGRA
+  const bitmap = base.toBitmap();
+  const radius = size * 0.22;
+  const center = size - radius - 1;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if ((x - center) ** 2 + (y - center) ** 2 > radius ** 2) continue;
+      const offset = (y * size + x) * 4;
+      bitmap[offset] = color[2];
+      bitmap[offset + 1] = color[1];
+      bitmap[offset + 2] = color[0];
+      bitmap[offset + 3] = 255;
+    }
+  }
+  trayIcons[state] = nativeImage.createFromBitmap(bitmap, { width: size, height: size });
+  return trayIcons[state];
+}
+
+function formatTrayTime(time) {
+  const date = new Date(time);
+  const sameDay = date.toDateString() === new Date().toDateString();
+  return sameDay
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+// Start of tomorrow, local time
+function startOfTomorrow() {
+  const date = new Date();
+  date.setHours(24, 0, 0, 0);
+  return date.getTime();
+}
+
+// error > paused > running > idle, across all accounts
+function getTrayState(statuses) {
+  if (statuses.some(status => status.phase === 'error')) return 'error';
+  if (statuses.some(status => status.pausedUntil)) return 'paused';
+  if (statuses.some(status => status.running)) return 'running';
+  return 'idle';
+}
+
+function describeLastResult(result) {
+  if (!result) return 'Last result: none yet';
+  if (result.simulated) return `Last: simulated at ${formatTrayTime(result.time)}`;
+  if (result.success) return `Last: posted at ${formatTrayTime(result.time)}`;
+  const error = result.error && result.error.length > 60 ? `${result.error.slice(0, 57)}...` : result.error;
+  return `Last: failed at ${formatTrayTime(result.time)} (${error})`;
+}
+
+function buildAccountTrayItems(account) {
+  const scheduler = getScheduler(account.id);
+  const status = scheduler.getStatus();
+  const result = status.lastResult;
+
+  let stateLabel = 'Stopped';
+  if (status.pausedUntil) stateLabel = `Paused until ${formatTrayTime(status.pausedUntil)}`;
+  else if (status.running && status.nextRunTime) stateLabel = `Next run: ${formatTrayTime(status.nextRunTime)}`;
+  else if (status.running) stateLabel = 'Running';
+
+  return [
+    { label: stateLabel, enabled: false },
+    {
+      label: describeLastResult(result),
+      // A posted result opens the tweet
+      enabled: !!(result && result.tweetId),
+      click: () => shell.openExternal(`https://x.com/i/web/status/${result.tweetId}`)
+    },
+    { type: 'separator' },
+    status.running
+      ? { label: 'Stop Autopilot', click: () => scheduler.stop() }
+      : { label: 'Start Autopilot', click: () => scheduler.start() },
+    { label: 'Run Once', enabled: !scheduler.cycleInProgress && !status.pausedUntil, click: () => scheduler.runCycle({ manual: true }) },
+    status.pausedUntil
+      ? { label: 'Resume Now', click: () => scheduler.resume() }
+      : {
+        label: 'Pause',
+        submenu: [
+          { label: 'For 1 Hour', click: () => scheduler.pause(Date.now() + HOUR_MS, 'Pause requested from the tray') },
+          { label: 'Until Tomorrow', click: () => scheduler.pause(startOfTomorrow(), 'Pause requested from the tray') }
+        ]
+      }
+  ];
+}
+
+// Rebuild the tray menu, icon and tooltip from the current autopilot state
+function updateTray() {
+  if (!tray || tray.isDestroyed()) return;
+
+  const accounts = accountProfiles.list();
+  const statuses = accounts.map(account => getScheduler(account.id).getStatus());
+  const state = getTrayState(statuses);
+
+  // One account gets its items inline; several get a submenu each
+  const accountItems = accounts.length === 1
+    ? buildAccountTrayItems(accounts[0])
+    : accounts.map(account => ({
+      label: `${account.name}${getScheduler(account.id).running ? ' ●' : ''}`,
+      submenu: buildAccountTrayItems(account)
+    }));
+
+  tray.setContextMenu(Menu.buildFromTemplate([
     {
       label: 'Show App',
       click: () => {
@@ -452,6 +3690,10 @@ function createTray() {
     {
       type: 'separator'
     },
+    ...accountItems,
+    {
+      type: 'separator'
+    },
     {
       label: 'Quit',
       click: () => {
@@ -460,10 +3702,23 @@ function createTray() {
         app.quit();
       }
     }
-  ]);
-  
-  tray.setToolTip('Twitter Automator - Running in background');
-  tray.setContextMenu(contextMenu);
+  ]));
+
+  const running = statuses.filter(status => status.running);
+  const next = running.map(status => status.nextRunTime).filter(Boolean).sort((a, b) => a - b)[0];
+  const tooltips = {
+    error: 'Last cycle failed',
+    paused: `Paused until ${formatTrayTime(Math.min(...statuses.filter(status => status.pausedUntil).map(status => status.pausedUntil)))}`,
+    running: `${running.length} running${next ? ` · next run ${formatTrayTime(next)}` : ''}`,
+    idle: 'Autopilot stopped'
+  };
+  tray.setToolTip(`Twitter Automator - ${tooltips[state]}`);
+  tray.setImage(getTrayIcon(state));
+}
+
+function createTray() {
+  tray = new Tray(getTrayIcon('idle'));
+  updateTray();
   
   // Show window when tray icon is clicked (Windows/Linux)
   tray.on('click', () => {
@@ -480,6 +3735,73 @@ function createTray() {
   log.info('System tray icon created');
 }
 
+// Origins of the LLM and X endpoints in use, for the CSP
+function getApiOrigins() {
+  const { baseUrl } = getLlmSettings();
+  const urls = [
+    ...Object.values(LLM_PROVIDERS).map(provider => provider.defaultBaseUrl),
+    baseUrl,
+    ...Object.values(getApiEndpoints())
+  ];
+  const origins = urls.filter(Boolean).map(url => {
+    try {
+      return new URL(url).origin;
+    } catch (error) {
+      return null;
+    }
+  });
+  return [...new Set(origins.filter(Boolean))];
+}
+
+// --- Headless Mode ---
+
+// Values of a repeatable `--name value` / `--name=value` argument
+function getArgValues(name) {
+  const values = [];
+  process.argv.forEach((arg, index) => {
+    if (arg === `--${name}` && process.argv[index + 1]) values.push(process.argv[index + 1]);
+    else if (arg.startsWith(`--${name}=`)) values.push(arg.slice(name.length + 3));
+  });
+  return values;
+}
+
+// Start autopilot for the `--account` names/ids given, or every account with credentials
+function startHeadless() {
+  const requested = getArgValues('account');
+  const accounts = accountProfiles.list();
+  const selected = requested.length > 0
+    ? requested.map(value => {
+      const account = accounts.find(candidate => candidate.id === value || candidate.name.toLowerCase() === value.toLowerCase());
+      if (!account) log.error(`Headless: no account named "${value}"`);
+      return account;
+    }).filter(Boolean)
+    : accounts.filter(account => accountProfiles.toPublic(account).hasCredentials);
+
+  if (!safeStorage.isEncryptionAvailable()) {
+    log.warn('Headless: OS encryption is not available, so keys saved by the desktop app may not decrypt here');
+  }
+  if (store.get('approvalMode', false)) {
+    log.warn('Headless: approval mode is on. Drafts will wait in the queue until approved in the desktop app.');
+  }
+  if (selected.length === 0) {
+    log.error('Headless: no accounts to run. Add X credentials in the desktop app first, or pass --account <name>.');
+    app.exit(1);
+    return;
+  }
+
+  selected.forEach(account => {
+    const status = getScheduler(account.id).start();
+    if (!status.running) log.error(`Headless: autopilot for @${account.name} did not start`);
+  });
+
+  // Stop cleanly on Ctrl+C / service stop
+  ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+    log.info(`Received ${signal}, stopping autopilot`);
+    app.isQuitting = true;
+    app.quit();
+  }));
+}
+
 function createWindow() {
   // Create the browser window with security settings
   mainWindow = new BrowserWindow({
@@ -532,14 +3854,15 @@ function createWindow() {
     }
   });
 
-  // Security: Set Content Security Policy
+  // Security: Set Content Security Policy (API origins follow the configured endpoints)
   mainWindow.webContents.session.webRequest.onHeadersReceived((details, callback) => {
+    const apiOrigins = getApiOrigins().join(' ');
     callback({
       responseHeaders: {
         ...details.responseHeaders,
         'Content-Security-Policy': isDev 
-          ? ["default-src 'self' 'unsafe-inline' 'unsafe-eval' http://localhost:* ws://localhost:* https://generativelanguage.googleapis.com https://api.twitter.com"]
-          : ["default-src 'self' 'unsafe-inline'; connect-src 'self' https://generativelanguage.googleapis.com https://api.twitter.com"]
+          ? [`default-src 'self' 'unsafe-inline' 'unsafe-eval' http://localhost:* ws://localhost:* ${apiOrigins}`]
+          : [`default-src 'self' 'unsafe-inline'; connect-src 'self' ${apiOrigins}`]
       }
     });
   });
@@ -553,14 +3876,10 @@ function createWindow() {
       
       // Show notification on first minimize (optional but helpful)
       if (!mainWindow.hasShownTrayNotice) {
-        mainWindow.webContents.executeJavaScript(`
-          if (window.Notification && Notification.permission === 'granted') {
-            new Notification('Twitter Automator', {
-              body: 'App minimized to system tray. Automation continues in background.',
-              icon: '${path.join(__dirname, 'logo192.png').replace(/\\/g, '/')}'
-            });
-          }
-        `).catch(err => log.debug('Notification error:', err));
+        notifications.show(null, {
+          title: 'Twitter Automator',
+          body: 'App minimized to system tray. Automation continues in background.'
+        });
         mainWindow.hasShownTrayNotice = true;
       }
       
@@ -688,6 +4007,22 @@ app.whenReady().then(() => {
     }
   }
   
+  // Move single-account settings into an account profile (after the old-store migration above)
+  accountProfiles.migrate();
+  // Plain-string topic lists -> topic objects
+  migrateTopics();
+
+  // Opt-in localhost control API
+  controlApi.apply();
+  // One-off scheduled posts, including any that came due while the app was closed
+  scheduledPosts.arm();
+
+  if (isHeadless) {
+    if (process.platform === 'darwin') app.dock.hide();
+    startHeadless();
+    return;
+  }
+  
   // Sync auto-launch preference with OS login items
   const autoLaunchEnabled = store.get('autoLaunch', false);
   app.setLoginItemSettings({
@@ -720,6 +4055,7 @@ app.on('window-all-closed', () => {
 });
 
 app.on('activate', () => {
+  if (isHeadless) return;
   // On macOS, re-create/show window when dock icon is clicked
   if (BrowserWindow.getAllWindows().length === 0) {
     createWindow();
@@ -749,4 +4085,7 @@ process.on('unhandledRejection', (reason, promise) => {
 // Log when app is about to quit
 app.on('before-quit', () => {
   log.info('=== App is shutting down ===');
+  controlApi.stop();
+  if (isHeadless) schedulers.forEach(scheduler => scheduler.stop());
+  activityLog.flush();
 });
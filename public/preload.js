@@ -12,6 +12,13 @@
 
 const { contextBridge, ipcRenderer } = require('electron');
 
+// Subscribe to a main-process event; returns an unsubscribe function
+const subscribe = (channel, callback) => {
+  const listener = (_, payload) => callback(payload);
+  ipcRenderer.on(channel, listener);
+  return () => ipcRenderer.removeListener(channel, listener);
+};
+
 // Expose a controlled API to the renderer process
 contextBridge.exposeInMainWorld('electronAPI', {
   // Platform information (safe to expose)
@@ -29,11 +36,196 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
   // --- API Bridges ---
   
-  // Call Gemini API via Main Process (No CORS)
-  geminiGenerate: (apiKey, prompt) => ipcRenderer.invoke('gemini-generate', { apiKey, prompt }),
+  // Generate text with the LLM provider chosen in Settings (No CORS)
+  generateText: (prompt) => ipcRenderer.invoke('llm-generate', prompt),
+  // Providers available in Settings, with their default model and base URL
+  getLlmProviders: () => ipcRenderer.invoke('llm-providers'),
+  
+  // Check an LLM key and base URL against the provider's models list ({ provider, apiKey, model, baseUrl })
+  verifyLlm: (settings) => ipcRenderer.invoke('llm-verify', settings),
+
+  // --- Accounts ---
+  
+  // List account profiles (no secrets)
+  getAccounts: () => ipcRenderer.invoke('accounts-list'),
+  
+  // Create an account profile
+  createAccount: (name) => ipcRenderer.invoke('accounts-create', { name }),
+  
+  // Update name, persona and/or credentials (blank credential fields keep their saved value)
+  updateAccount: (account) => ipcRenderer.invoke('accounts-update', account),
+  
+  // Delete an account profile and its credentials
+  deleteAccount: (id) => ipcRenderer.invoke('accounts-delete', id),
+  
+  // "Connect with X": save the app keys and open X's authorize page
+  startSignIn: (accountId, consumerKey, consumerSecret) => ipcRenderer.invoke('accounts-signin-start', { accountId, consumerKey, consumerSecret }),
+  
+  // Finish connecting with the PIN X showed; returns the updated account
+  completeSignIn: (accountId, pin) => ipcRenderer.invoke('accounts-signin-complete', { accountId, pin }),
+  
+  // Check X credentials (unsaved form values, or the saved ones when omitted)
+  verifyAccount: (accountId, credentials) => ipcRenderer.invoke('accounts-verify', { accountId, credentials }),
+  
+  // OAuth 2.0 (PKCE) sign-in through the browser; resolves once X redirects back
+  connectOAuth2: (accountId, clientId, clientSecret) => ipcRenderer.invoke('accounts-oauth2-connect', { accountId, clientId, clientSecret }),
+
+  // --- Autopilot (runs in Main Process) ---
+  
+  // Start an account's scheduler
+  startAutopilot: (accountId) => ipcRenderer.invoke('autopilot-start', accountId),
+  
+  // Stop an account's scheduler
+  stopAutopilot: (accountId) => ipcRenderer.invoke('autopilot-stop', accountId),
+  
+  // Get running state, phase and next run time of every account
+  getAutopilotStatus: () => ipcRenderer.invoke('autopilot-status'),
+  
+  // Run a single generate -> post cycle for an account
+  runAutopilotOnce: (accountId) => ipcRenderer.invoke('autopilot-run-once', accountId),
+  
+  // Listen for scheduler state changes
+  onAutopilotStatus: (callback) => subscribe('autopilot-status', callback),
+  
+  // Listen for new activity log entries ({ timestamp, level, source, accountId, accountName, message, payload })
+  onAutopilotLog: (callback) => subscribe('autopilot-log', callback),
+  
+  // Listen for cycle events (started, generated, posted, failed)
+  onAutopilotCycle: (callback) => subscribe('autopilot-cycle', callback),
+
+  // --- Draft Review Queue ---
+  
+  // List drafts waiting for review or posting
+  getDrafts: () => ipcRenderer.invoke('drafts-list'),
+  
+  // Edit draft text (sends it back to pending)
+  updateDraft: (id, text) => ipcRenderer.invoke('drafts-update', { id, text }),
+  
+  // Attach media ({ path, altText }) to a draft
+  setDraftMedia: (id, media) => ipcRenderer.invoke('drafts-set-media', { id, media }),
+  
+  // Approve a draft for the next slot
+  approveDraft: (id) => ipcRenderer.invoke('drafts-approve', id),
+  
+  // Discard a draft
+  discardDraft: (id) => ipcRenderer.invoke('drafts-discard', id),
+  
+  // Generate new text for a draft's topic
+  regenerateDraft: (id) => ipcRenderer.invoke('drafts-regenerate', id),
+  
+  // Get approval mode preference
+  getApprovalMode: () => ipcRenderer.invoke('store-get-approval-mode'),
+  
+  // Set approval mode preference
+  setApprovalMode: (enabled) => ipcRenderer.invoke('store-set-approval-mode', enabled),
+  
+  // Listen for draft queue changes
+  onDraftsUpdated: (callback) => subscribe('drafts-updated', callback),
+
+  // --- Media ---
+  
+  // Open a native file picker for images, GIFs and videos
+  pickMedia: () => ipcRenderer.invoke('media-pick'),
+
+  // --- Threads ---
+  
+  // Preview how long text splits into parts
+  splitThread: (text) => ipcRenderer.invoke('thread-split', text),
+  
+  // Weighted character count as X counts it ({ weighted, max, remaining, valid })
+  countTweet: (text) => ipcRenderer.invoke('tweet-count', text),
+  
+  // Post text with optional media from an account, as a thread when it is over the limit
+  postThread: (accountId, text, media = []) => ipcRenderer.invoke('thread-post', { accountId, text, media }),
+  
+  // --- Composer ---
+  
+  // Rewrite hand-written text with AI in the account's persona
+  improveText: (accountId, text) => ipcRenderer.invoke('compose-improve', { accountId, text }),
+  
+  // List one-off scheduled posts (soonest first)
+  getScheduledPosts: () => ipcRenderer.invoke('scheduled-posts-list'),
+  
+  // Schedule a post for later ({ accountId, text, media, at } with at in epoch ms)
+  schedulePost: (post) => ipcRenderer.invoke('scheduled-posts-add', post),
+  
+  // Cancel a scheduled post, or dismiss a failed one
+  removeScheduledPost: (id) => ipcRenderer.invoke('scheduled-posts-remove', id),
+  
+  // Listen for scheduled post changes
+  onScheduledPostsUpdated: (callback) => subscribe('scheduled-posts-updated', callback),
+  
+  // Get thread mode settings
+  getThreadSettings: () => ipcRenderer.invoke('store-get-thread-settings'),
+  
+  // Save thread mode settings
+  saveThreadSettings: (settings) => ipcRenderer.invoke('store-save-thread-settings', settings),
+
+  // --- Topic Selection ---
+  
+  // Get an account's strategy, weights, cooldowns and when each topic was last used
+  getTopicSelection: (accountId) => ipcRenderer.invoke('store-get-topic-selection', accountId),
+  
+  // Save an account's strategy, weights and cooldowns
+  saveTopicSelection: (accountId, selection) => ipcRenderer.invoke('store-save-topic-selection', { accountId, selection }),
+
+  // --- Prompt Templates ---
+  
+  // Get the default template, per-topic overrides and the built-in template
+  getPromptTemplates: () => ipcRenderer.invoke('prompt-templates-get'),
+  
+  // Save { default, topics }; empty templates fall back to the built-in one
+  savePromptTemplates: (templates) => ipcRenderer.invoke('prompt-templates-save', templates),
+  
+  // Render a template with live variables for an account and topic
+  previewPrompt: (accountId, topic, template) => ipcRenderer.invoke('prompt-preview', { accountId, topic, template }),
+
+  // --- Activity Log ---
+  
+  // Stored log entries, newest first ({ query, level, source, accountId, limit })
+  getLogs: (filters = {}) => ipcRenderer.invoke('logs-list', filters),
+  
+  // Record a log entry from the renderer ({ source, message, level, accountId, payload })
+  addLog: (entry) => ipcRenderer.invoke('logs-add', entry),
+  
+  // Export matching entries to a JSONL file picked in a native dialog
+  exportLogs: (filters = {}) => ipcRenderer.invoke('logs-export', filters),
+  
+  // Delete all stored log entries
+  clearLogs: () => ipcRenderer.invoke('logs-clear'),
 
-  // Post to Twitter via Main Process (No CORS, Secure Signing)
-  twitterPost: (keys, text) => ipcRenderer.invoke('twitter-post', { keys, text }),
+  // --- Post History ---
+  
+  // Search recorded attempts ({ query, status, accountId, limit })
+  searchHistory: (filters) => ipcRenderer.invoke('history-search', filters),
+  
+  // Post the remaining parts of a failed thread
+  resumeThread: (id) => ipcRenderer.invoke('history-resume-thread', id),
+  
+  // Delete all history entries
+  clearHistory: () => ipcRenderer.invoke('history-clear'),
+  
+  // Listen for newly recorded attempts
+  onHistoryAdded: (callback) => subscribe('history-added', callback),
+
+  // --- Webhooks ---
+  
+  // Configured webhooks ({ id, name, url, format, events, enabled, hasSecret })
+  getWebhooks: () => ipcRenderer.invoke('webhooks-get'),
+  
+  // Replace the webhook list; `secret` sets (or with '' removes) a signing secret
+  saveWebhooks: (hooks) => ipcRenderer.invoke('webhooks-save', hooks),
+  
+  // Send a test event to a saved webhook; returns the delivery record
+  testWebhook: (id) => ipcRenderer.invoke('webhooks-test', id),
+  
+  // Recent delivery attempts, newest first
+  getWebhookDeliveries: () => ipcRenderer.invoke('webhooks-deliveries'),
+  
+  clearWebhookDeliveries: () => ipcRenderer.invoke('webhooks-deliveries-clear'),
+  
+  // Listen for new delivery records
+  onWebhookDelivery: (callback) => subscribe('webhook-delivery', callback),
 
   // --- Secure Storage ---
   
@@ -43,11 +235,29 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Save configuration to secure storage
   saveConfig: (config) => ipcRenderer.invoke('store-save-config', config),
   
-  // Get topics from secure storage
-  getTopics: () => ipcRenderer.invoke('store-get-topics'),
+  // Replace the control API token; returns the new one
+  regenerateControlApiToken: () => ipcRenderer.invoke('control-api-regenerate-token'),
+  
+  // Get an account's topics
+  getTopics: (accountId) => ipcRenderer.invoke('store-get-topics', accountId),
+  
+  // Save an account's topics ({ id, label, notes, tags, enabled, group }); returns the saved list
+  saveTopics: (accountId, topics) => ipcRenderer.invoke('store-save-topics', { accountId, topics }),
+  
+  // Import topics from a CSV or JSON file picked in a native dialog
+  importTopics: (accountId) => ipcRenderer.invoke('topics-import', accountId),
+  
+  // Export an account's topics to a 'csv' or 'json' file
+  exportTopics: (accountId, format) => ipcRenderer.invoke('topics-export', { accountId, format }),
+  
+  // Get an account's autopilot schedule
+  getSchedule: (accountId) => ipcRenderer.invoke('store-get-schedule', accountId),
+  
+  // Save an account's autopilot schedule (validated in Main process)
+  saveSchedule: (accountId, schedule) => ipcRenderer.invoke('store-save-schedule', { accountId, schedule }),
   
-  // Save topics to secure storage
-  saveTopics: (topics) => ipcRenderer.invoke('store-save-topics', topics),
+  // Preview the next slots of an unsaved schedule
+  previewSchedule: (schedule) => ipcRenderer.invoke('schedule-preview', schedule),
   
   // Get auto-launch preference
   getAutoLaunch: () => ipcRenderer.invoke('store-get-autolaunch'),
@@ -1,5 +1,5 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Settings, Send, Twitter, AlertTriangle, CheckCircle, XCircle, Terminal, Key, Loader2, Edit3, ExternalLink, Plus, Trash2, Play, Square, Clock } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Settings, Send, Twitter, AlertTriangle, CheckCircle, XCircle, Terminal, Key, Loader2, Edit3, ExternalLink, Plus, Trash2, Play, Square, Clock, CalendarClock, Inbox, Check, RefreshCw, Pencil, History, Search, Layers, Image, Paperclip, X, Users, FileText, GripVertical, Upload, Download, Sparkles } from 'lucide-react';
 
 /**
  * ------------------------------------------------------------------
@@ -9,6 +9,171 @@ import { Settings, Send, Twitter, AlertTriangle, CheckCircle, XCircle, Terminal,
  */
 // [OAuth Object removed - Logic moved to Main Process]
 
+/**
+ * ------------------------------------------------------------------
+ * SCHEDULE DEFAULTS (mirrors DEFAULT_SCHEDULE in automation.js)
+ * ------------------------------------------------------------------
+ */
+const DEFAULT_SCHEDULE = {
+  mode: 'interval',
+  intervalMinutes: 40,
+  timesPerDay: 6,
+  windowStart: '09:00',
+  windowEnd: '21:00',
+  cron: '0 9-17 * * 1-5',
+  jitterMinutes: 0,
+  timezone: ''
+};
+
+const NOTIFICATION_LABELS = {
+  posted: 'Posted',
+  failed: 'Failed',
+  paused: 'Paused (limits)',
+  drafts: 'Drafts to approve',
+  updates: 'App updates'
+};
+
+const WEBHOOK_EVENT_LABELS = {
+  started: 'Cycle started',
+  generated: 'Generated',
+  posted: 'Posted',
+  failed: 'Failed',
+  paused: 'Paused',
+  drafted: 'Draft to approve'
+};
+
+const MAX_CONSOLE_ENTRIES = 1000; // Matches MAX_LOG_ENTRIES in electron.js
+
+const LOG_SOURCE_COLORS = {
+  Twitter: 'text-blue-400',
+  AI: 'text-purple-400',
+  Autopilot: 'text-green-400',
+  Drafts: 'text-yellow-400'
+};
+
+const TIMEZONES = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [];
+
+// "2d 3h 4m", "1h 5m 10s" or "4m 10s"
+const formatCountdown = (diff) => {
+  const days = Math.floor(diff / 86400000);
+  const hours = Math.floor((diff % 86400000) / 3600000);
+  const minutes = Math.floor((diff % 3600000) / 60000);
+  const seconds = Math.floor((diff % 60000) / 1000);
+
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h ${minutes}m ${seconds}s`;
+  return `${minutes}m ${seconds}s`;
+};
+
+// crypto.randomUUID is missing outside secure contexts and under jsdom
+const createId = () => (window.crypto?.randomUUID
+  ? window.crypto.randomUUID()
+  : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`);
+
+// Topic object from a label or a stored topic (mirrors Topics.normalize in electron.js;
+// the browser fallback may still hold plain strings)
+const toTopic = (value) => {
+  const source = typeof value === 'string' ? { label: value } : value;
+  return {
+    id: source.id || createId(),
+    label: source.label,
+    notes: source.notes || '',
+    tags: source.tags || [],
+    enabled: source.enabled !== false,
+    group: source.group || ''
+  };
+};
+
+/**
+ * ------------------------------------------------------------------
+ * MEDIA ATTACHMENTS
+ * ------------------------------------------------------------------
+ * Files are picked through the Main process dialog; only paths and alt
+ * text live in the renderer. Alt text is committed on blur.
+ */
+function MediaAttachments({ media = [], onChange, disabled = false }) {
+  const attach = async () => {
+    if (!window.electronAPI) return;
+    const picked = await window.electronAPI.pickMedia();
+    if (picked.length > 0) onChange([...media, ...picked]);
+  };
+
+  const setAltText = (index, altText) => {
+    if (media[index].altText === altText) return;
+    onChange(media.map((item, i) => (i === index ? { ...item, altText } : item)));
+  };
+
+  return (
+    <div className="space-y-2">
+      {media.map((item, idx) => (
+        <div key={item.path} className="flex items-center gap-2 bg-slate-950 border border-slate-800/50 rounded p-2">
+          <Image className="w-4 h-4 text-slate-500 shrink-0" />
+          <span className="text-xs text-slate-300 truncate w-28 shrink-0" title={item.path}>
+            {item.name || item.path.split(/[\\/]/).pop()}
+          </span>
+          <input
+            type="text"
+            defaultValue={item.altText}
+            onBlur={(e) => setAltText(idx, e.target.value)}
+            placeholder="Alt text (recommended)"
+            disabled={disabled}
+            className="flex-1 min-w-0 bg-slate-900 border border-slate-800 rounded px-2 py-1 text-xs focus:outline-none focus:border-cyan-500"
+          />
+          <button
+            onClick={() => onChange(media.filter((_, i) => i !== idx))}
+            disabled={disabled}
+            className="text-slate-600 hover:text-red-400 transition-colors"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+      <button
+        onClick={attach}
+        disabled={disabled}
+        className="text-xs text-slate-400 hover:text-cyan-400 flex items-center gap-1 disabled:opacity-50"
+      >
+        <Paperclip className="w-3 h-3" /> Attach image, GIF or video
+      </button>
+    </div>
+  );
+}
+
+/**
+ * ------------------------------------------------------------------
+ * VERIFY RESULT
+ * ------------------------------------------------------------------
+ * Outcome of a Settings "Verify" check: { ok, summary, details, problems },
+ * or 'pending' while it runs.
+ */
+function VerifyResult({ result }) {
+  if (!result) return null;
+  if (result === 'pending') {
+    return (
+      <p className="text-[11px] text-slate-400 flex items-center gap-1">
+        <Loader2 className="w-3 h-3 animate-spin" /> Checking...
+      </p>
+    );
+  }
+
+  return (
+    <div className={`text-[11px] rounded border p-2 space-y-1 ${result.ok ? 'border-green-900/50 bg-green-950/20' : 'border-red-900/50 bg-red-950/20'}`}>
+      <p className={`flex items-center gap-1 font-medium ${result.ok ? 'text-green-400' : 'text-red-400'}`}>
+        {result.ok ? <CheckCircle className="w-3 h-3" /> : <XCircle className="w-3 h-3" />}
+        {result.summary}
+      </p>
+      {result.details.map(detail => (
+        <p key={detail} className="text-slate-400">{detail}</p>
+      ))}
+      {result.problems.map(problem => (
+        <p key={problem} className="text-yellow-400 flex items-start gap-1">
+          <AlertTriangle className="w-3 h-3 mt-0.5 shrink-0" /> {problem}
+        </p>
+      ))}
+    </div>
+  );
+}
+
 /**
  * ------------------------------------------------------------------
  * MAIN APPLICATION COMPONENT
@@ -18,30 +183,91 @@ export default function TweetAutomator() {
   // -- Configuration State --
   const [config, setConfig] = useState({
     geminiKey: process.env.REACT_APP_GEMINI_KEY || '',
-    twitterConsumerKey: process.env.REACT_APP_TWITTER_CONSUMER_KEY || '',
-    twitterConsumerSecret: process.env.REACT_APP_TWITTER_CONSUMER_SECRET || '',
-    twitterAccessToken: process.env.REACT_APP_TWITTER_ACCESS_TOKEN || '',
-    twitterTokenSecret: process.env.REACT_APP_TWITTER_TOKEN_SECRET || ''
+    openaiKey: '',
+    anthropicKey: '',
+    llm: { provider: 'gemini', model: '', baseUrl: '' },
+    shortenAttempts: 2,
+    duplicates: { enabled: true, threshold: 0.5, lookback: 30, maxRegenerations: 2 },
+    dryRun: false,
+    apiEndpoints: { twitterApi: '', twitterUpload: '' },
+    notifications: null // Loaded from the main process (desktop only)
   });
+  const [llmProviders, setLlmProviders] = useState([]);
+
+  // -- Account State --
+  const [accounts, setAccounts] = useState([]);
+  const [selectedAccountId, setSelectedAccountId] = useState(null);
+  const [accountForm, setAccountForm] = useState(null); // Account being edited in Settings
+  const [signIn, setSignIn] = useState(null); // { accountId, pin } while waiting for the PIN from X
+  const [isConnectingOAuth2, setIsConnectingOAuth2] = useState(false);
+  const [verification, setVerification] = useState({}); // { llm, account } results of the Settings "Verify" buttons
+  const [webhooks, setWebhooks] = useState([]); // Edited in Settings; `secret` is only set when changed
+  const [webhookDeliveries, setWebhookDeliveries] = useState([]);
 
   // -- App Logic State --
 
   const [topics, setTopics] = useState([]);
   const [newTopic, setNewTopic] = useState('');
-  const [logs, setLogs] = useState([]);
-  const [status, setStatus] = useState('idle'); 
+  const [editingTopicId, setEditingTopicId] = useState(null);
+  const [topicForm, setTopicForm] = useState(null); // { label, group, tags (comma-separated), notes }
+  const [topicGroup, setTopicGroup] = useState('all');
+  const [dragIndex, setDragIndex] = useState(null);
+  const [logs, setLogs] = useState([]); // Activity log entries, newest first
+  const [logLevel, setLogLevel] = useState('all');
+  const [logSource, setLogSource] = useState('all');
+  const [logQuery, setLogQuery] = useState('');
   const [showSettings, setShowSettings] = useState(false);
   const [generatedContent, setGeneratedContent] = useState('');
   
-  // -- Automation State --
-  const [isAutomated, setIsAutomated] = useState(false);
-  const [nextRunTime, setNextRunTime] = useState(null);
-  const timerRef = useRef(null);
-  const countdownRef = useRef(null);
+  // -- Automation State (owned by the Main process schedulers, one per account) --
+  const [autopilotStatuses, setAutopilotStatuses] = useState({});
   const [timeRemaining, setTimeRemaining] = useState('');
+  const selectedStatus = autopilotStatuses[selectedAccountId] || {};
+  const isAutomated = !!selectedStatus.running;
+  const nextRunTime = selectedStatus.nextRunTime || null;
+  const status = selectedStatus.phase || 'idle';
+  const quota = selectedStatus.quota || null;
+  const runningCount = Object.values(autopilotStatuses).filter(autopilot => autopilot.running).length;
+
+  // -- Draft Review State --
+  const [approvalMode, setApprovalMode] = useState(false);
+  const [drafts, setDrafts] = useState([]);
+  const [editingDraftId, setEditingDraftId] = useState(null);
+  const [draftText, setDraftText] = useState('');
+  const [busyDraftId, setBusyDraftId] = useState(null);
+
+  // -- Thread State --
+  const [threadSettings, setThreadSettings] = useState({ enabled: false, maxParts: 4, numbering: true });
+  const [threadText, setThreadText] = useState('');
+  const [threadPreview, setThreadPreview] = useState([]); // [{ text, weighted }]
+  const [threadCount, setThreadCount] = useState(null); // Weighted length of the whole text
+  const [threadMedia, setThreadMedia] = useState([]);
+  const [isPostingThread, setIsPostingThread] = useState(false);
+  const [isImproving, setIsImproving] = useState(false);
+  const [scheduleAt, setScheduleAt] = useState(''); // datetime-local value, local time
+  const [scheduledPosts, setScheduledPosts] = useState([]);
+  const [resumingId, setResumingId] = useState(null);
+
+  // -- History State --
+  const [historyEntries, setHistoryEntries] = useState([]);
+  const [historyQuery, setHistoryQuery] = useState('');
+  const [historyStatus, setHistoryStatus] = useState('all');
+  const [historyAccount, setHistoryAccount] = useState('all');
+
+  // -- Topic Selection State --
+  const [topicSelection, setTopicSelection] = useState(null); // { strategy, cooldownMinutes, weights, cooldowns, lastUsed }
+  const [topicSelectionVersion, setTopicSelectionVersion] = useState(0);
+
+  // -- Prompt Template State --
+  const [promptTemplates, setPromptTemplates] = useState(null); // { default, topics, builtIn }
+  const [templateTopic, setTemplateTopic] = useState(''); // '' edits the global default
+  const [templateDraft, setTemplateDraft] = useState('');
+  const [promptPreview, setPromptPreview] = useState('');
+  const [historyVersion, setHistoryVersion] = useState(0);
 
-  // -- Constants --
-  const INTERVAL_MS = 40 * 60 * 1000; // 40 Minutes
+  // -- Schedule State --
+  const [schedule, setSchedule] = useState(DEFAULT_SCHEDULE);
+  const [schedulePreview, setSchedulePreview] = useState(null);
 
   // -- Load/Save Config & Topics --
   useEffect(() => {
@@ -50,14 +276,18 @@ export default function TweetAutomator() {
       if (window.electronAPI) {
         try {
           const savedConfig = await window.electronAPI.getConfig();
-          const savedTopics = await window.electronAPI.getTopics();
+          const savedAccounts = await window.electronAPI.getAccounts();
+          setLlmProviders(await window.electronAPI.getLlmProviders());
+          setWebhooks(await window.electronAPI.getWebhooks());
+          const lastAccountId = localStorage.getItem('tweet_automator_account');
           
           if (savedConfig && Object.keys(savedConfig).length > 0) {
             setConfig(savedConfig);
           }
-          if (savedTopics && savedTopics.length > 0) {
-            setTopics(savedTopics);
-          }
+          setAccounts(savedAccounts);
+          setSelectedAccountId(
+            savedAccounts.some(account => account.id === lastAccountId) ? lastAccountId : savedAccounts[0]?.id || null
+          );
         } catch (error) {
           console.error('Failed to load from secure storage:', error);
         }
@@ -65,19 +295,197 @@ export default function TweetAutomator() {
         // Browser fallback to localStorage
         const savedConfig = localStorage.getItem('tweet_automator_config');
         const savedTopics = localStorage.getItem('tweet_automator_topics');
+        const savedSchedule = localStorage.getItem('tweet_automator_schedule');
         
         if (savedConfig) setConfig(JSON.parse(savedConfig));
-        if (savedTopics) setTopics(JSON.parse(savedTopics));
+        if (savedTopics) setTopics(JSON.parse(savedTopics).map(toTopic));
+        if (savedSchedule) setSchedule({ ...DEFAULT_SCHEDULE, ...JSON.parse(savedSchedule) });
       }
       
       addLog('System', 'Ready. Add topics and start automation.');
     };
     
     loadData();
-    
-    return () => stopAutomation(); // Cleanup on unmount
   }, []);
 
+  // -- Load the selected account's topics and schedule --
+  useEffect(() => {
+    if (!window.electronAPI || !selectedAccountId) return;
+    localStorage.setItem('tweet_automator_account', selectedAccountId);
+
+    const loadAccount = async () => {
+      try {
+        setTopics(await window.electronAPI.getTopics(selectedAccountId));
+        setSchedule(await window.electronAPI.getSchedule(selectedAccountId));
+      } catch (error) {
+        console.error('Failed to load account data:', error);
+      }
+    };
+
+    loadAccount();
+  }, [selectedAccountId]);
+
+  // -- Observe the Autopilot Scheduler --
+  useEffect(() => {
+    if (!window.electronAPI) return;
+
+    const applyStatus = (autopilot) => {
+      setAutopilotStatuses(prev => ({ ...prev, [autopilot.accountId]: autopilot }));
+    };
+
+    // Pick up autopilots that kept running across a reload
+    window.electronAPI.getAutopilotStatus().then(statuses => statuses.forEach(applyStatus)).catch(error => {
+      console.error('Failed to get autopilot status:', error);
+    });
+    window.electronAPI.getDrafts().then(setDrafts).catch(error => {
+      console.error('Failed to load drafts:', error);
+    });
+    window.electronAPI.getApprovalMode().then(setApprovalMode).catch(error => {
+      console.error('Failed to load approval mode:', error);
+    });
+    window.electronAPI.getThreadSettings().then(setThreadSettings).catch(error => {
+      console.error('Failed to load thread settings:', error);
+    });
+    window.electronAPI.getPromptTemplates().then(setPromptTemplates).catch(error => {
+      console.error('Failed to load prompt templates:', error);
+    });
+    window.electronAPI.getScheduledPosts().then(setScheduledPosts).catch(error => {
+      console.error('Failed to load scheduled posts:', error);
+    });
+    window.electronAPI.getLogs({ limit: MAX_CONSOLE_ENTRIES })
+      // Entries that arrived while loading are already in state
+      .then(stored => setLogs(prev => [...prev, ...stored.filter(entry => !prev.some(recent => recent.id === entry.id))]))
+      .catch(error => console.error('Failed to load activity log:', error));
+
+    const unsubscribers = [
+      window.electronAPI.onAutopilotStatus(applyStatus),
+      window.electronAPI.onAutopilotLog((entry) => {
+        setLogs(prev => [entry, ...prev].slice(0, MAX_CONSOLE_ENTRIES));
+      }),
+      window.electronAPI.onAutopilotCycle((cycle) => {
+        if (cycle.phase === 'started') setTopicSelectionVersion(version => version + 1);
+        if (cycle.phase === 'generated' || cycle.phase === 'drafted') setGeneratedContent(cycle.text);
+        // Manual runs fall back to the Web Intent, as before (except duplicates,
+        // which X would reject there too, and posts held back by the post caps)
+        if (cycle.phase === 'failed' && cycle.manual && cycle.text && !cycle.duplicate && !cycle.rateLimited) openWebIntent(cycle.text);
+      }),
+      window.electronAPI.onDraftsUpdated(setDrafts),
+      window.electronAPI.onScheduledPostsUpdated(setScheduledPosts),
+      window.electronAPI.onHistoryAdded(() => setHistoryVersion(version => version + 1)),
+      window.electronAPI.onWebhookDelivery((delivery) => setWebhookDeliveries(prev => [delivery, ...prev].slice(0, 50)))
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, []);
+
+  // -- Countdown to the next scheduled run --
+  useEffect(() => {
+    if (!nextRunTime) {
+      setTimeRemaining('');
+      return;
+    }
+
+    const tick = () => {
+      const diff = nextRunTime - Date.now();
+      if (diff <= 0) {
+        setTimeRemaining('Running...');
+      } else {
+        setTimeRemaining(formatCountdown(diff));
+      }
+    };
+
+    tick();
+    const countdown = setInterval(tick, 1000);
+    return () => clearInterval(countdown);
+  }, [nextRunTime]);
+
+  // -- Preview upcoming slots while the schedule is being edited --
+  useEffect(() => {
+    if (!window.electronAPI) return;
+
+    const debounce = setTimeout(() => {
+      window.electronAPI.previewSchedule(schedule)
+        .then(setSchedulePreview)
+        .catch(error => setSchedulePreview({ success: false, error: error.message }));
+    }, 300);
+    return () => clearTimeout(debounce);
+  }, [schedule]);
+
+  // -- Preview how pasted text splits into a thread --
+  useEffect(() => {
+    if (!window.electronAPI || !threadText.trim()) {
+      setThreadPreview([]);
+      setThreadCount(null);
+      return;
+    }
+
+    const debounce = setTimeout(async () => {
+      try {
+        const [parts, count] = await Promise.all([
+          window.electronAPI.splitThread(threadText),
+          window.electronAPI.countTweet(threadText)
+        ]);
+        const counts = await Promise.all(parts.map(part => window.electronAPI.countTweet(part)));
+        setThreadPreview(parts.map((text, idx) => ({ text, weighted: counts[idx].weighted })));
+        setThreadCount(count);
+      } catch (error) {
+        console.error('Failed to split thread:', error);
+      }
+    }, 300);
+    return () => clearTimeout(debounce);
+  }, [threadText, threadSettings.numbering]);
+
+  // -- Topic selection (re-read when a cycle picks a topic) --
+  useEffect(() => {
+    if (!window.electronAPI || !selectedAccountId) return;
+    window.electronAPI.getTopicSelection(selectedAccountId)
+      .then(setTopicSelection)
+      .catch(error => console.error('Failed to load topic selection:', error));
+  }, [selectedAccountId, topicSelectionVersion]);
+
+  // -- Load the template being edited (topic overrides start empty and inherit the default) --
+  useEffect(() => {
+    if (!promptTemplates) return;
+    setTemplateDraft(templateTopic
+      ? promptTemplates.topics[templateTopic] || ''
+      : promptTemplates.default || promptTemplates.builtIn);
+  }, [promptTemplates, templateTopic]);
+
+  // -- Live preview of the rendered prompt --
+  useEffect(() => {
+    if (!window.electronAPI || !promptTemplates) return;
+
+    const template = templateDraft.trim() ? templateDraft : promptTemplates.default || promptTemplates.builtIn;
+    const debounce = setTimeout(() => {
+      window.electronAPI.previewPrompt(selectedAccountId, templateTopic || topics[0]?.label, template)
+        .then(setPromptPreview)
+        .catch(error => console.error('Failed to preview prompt:', error));
+    }, 300);
+    return () => clearTimeout(debounce);
+  }, [templateDraft, templateTopic, promptTemplates, selectedAccountId, topics]);
+
+  // -- Search post history (re-runs when new attempts are recorded) --
+  useEffect(() => {
+    if (!window.electronAPI) return;
+
+    const debounce = setTimeout(() => {
+      window.electronAPI.searchHistory({ query: historyQuery, status: historyStatus, accountId: historyAccount })
+        .then(setHistoryEntries)
+        .catch(error => console.error('Failed to search history:', error));
+    }, 200);
+    return () => clearTimeout(debounce);
+  }, [historyQuery, historyStatus, historyAccount, historyVersion]);
+
+  const regenerateControlApiToken = async () => {
+    try {
+      const token = await window.electronAPI.regenerateControlApiToken();
+      setConfig(prev => ({ ...prev, controlApi: { ...prev.controlApi, token } }));
+      addLog('System', 'Control API token regenerated. Update any scripts using the old one.', 'warning');
+    } catch (error) {
+      addLog('System', `Failed to regenerate token: ${error.message}`, 'error');
+    }
+  };
+
   const saveConfig = async (newConfig) => {
     setConfig(newConfig);
     
@@ -85,8 +493,17 @@ export default function TweetAutomator() {
     if (window.electronAPI) {
       try {
         await window.electronAPI.saveConfig(newConfig);
+        setWebhooks(await window.electronAPI.saveWebhooks(webhooks));
+        if (accountForm) {
+          const { id, name, persona, dailyCap, hourlyCap, authMethod, ...credentials } = accountForm;
+          const saved = await window.electronAPI.updateAccount({ id, name, persona, dailyCap, hourlyCap, authMethod, credentials });
+          setAccounts(prev => prev.map(account => (account.id === saved.id ? saved : account)));
+        }
       } catch (error) {
         console.error('Failed to save config to secure storage:', error);
+        // Keep Settings open so the value can be fixed (e.g. an invalid endpoint URL)
+        addLog('Error', `Failed to save settings: ${error.message}`, 'error');
+        return;
       }
     } else {
       localStorage.setItem('tweet_automator_config', JSON.stringify(newConfig));
@@ -102,7 +519,7 @@ export default function TweetAutomator() {
     // Save to secure storage (Electron) or fallback to localStorage (browser)
     if (window.electronAPI) {
       try {
-        await window.electronAPI.saveTopics(newTopics);
+        setTopics(await window.electronAPI.saveTopics(selectedAccountId, newTopics));
       } catch (error) {
         console.error('Failed to save topics to secure storage:', error);
       }
@@ -111,192 +528,531 @@ export default function TweetAutomator() {
     }
   };
 
-  const addTopic = () => {
-    if (!newTopic.trim()) return;
-    if (topics.length >= 10) {
-      addLog('System', 'Maximum 10 topics allowed.', 'warning');
+  const saveSchedule = async () => {
+    if (window.electronAPI) {
+      try {
+        const result = await window.electronAPI.saveSchedule(selectedAccountId, schedule);
+        if (!result.success) {
+          addLog('System', `Schedule not saved: ${result.error}`, 'error');
+          return;
+        }
+        setSchedule(result.schedule);
+      } catch (error) {
+        console.error('Failed to save schedule:', error);
+        return;
+      }
+    } else {
+      localStorage.setItem('tweet_automator_schedule', JSON.stringify(schedule));
+    }
+
+    addLog('System', 'Schedule saved.');
+  };
+
+  // -- Account Profiles --
+  // Credentials stay in the Main process: the form starts blank and only typed fields are saved
+  const editAccount = (accountId) => {
+    const account = accounts.find(a => a.id === accountId);
+    if (!account) {
+      setAccountForm(null);
       return;
     }
-    const updated = [...topics, newTopic.trim()];
-    saveTopics(updated);
-    setNewTopic('');
+    setAccountForm({
+      id: account.id, name: account.name, persona: account.persona || '',
+      dailyCap: account.dailyCap || 0, hourlyCap: account.hourlyCap || 0,
+      authMethod: account.authMethod || 'oauth1'
+    });
   };
 
-  const removeTopic = (index) => {
-    const updated = topics.filter((_, i) => i !== index);
-    saveTopics(updated);
+  const isCredentialSaved = (field) => !!accounts.find(a => a.id === accountForm?.id)?.savedCredentials?.includes(field);
+  const savedPlaceholder = (field) => (isCredentialSaved(field) ? 'Saved (leave blank to keep)' : '');
+  // Saved, or typed in the form
+  const hasCredential = (field) => !!accountForm?.[field] || isCredentialSaved(field);
+
+  const openSettings = () => {
+    if (window.electronAPI) {
+      editAccount(selectedAccountId);
+      window.electronAPI.getWebhookDeliveries()
+        .then(deliveries => setWebhookDeliveries(deliveries.slice(0, 50)))
+        .catch(error => console.error('Failed to load webhook deliveries:', error));
+    }
+    setShowSettings(true);
   };
 
-  const addLog = (source, message, type = 'info') => {
-    const timestamp = new Date().toLocaleTimeString();
-    setLogs(prev => [`[${timestamp}] [${source}] ${message}`, ...prev]);
+  const selectAccountInSettings = (accountId) => {
+    setSelectedAccountId(accountId);
+    setVerification(prev => ({ ...prev, account: null }));
+    editAccount(accountId);
   };
 
-  // -- Core Logic: Generate & Post --
-  const processCycle = async (selectedTopic) => {
-    setStatus('generating');
-    
-    // 1. Generate Text
-    const text = await generateText(selectedTopic);
-    if (!text) {
-      setStatus('error');
-      return;
+  const addAccount = async () => {
+    const name = window.prompt('Name for the new account (e.g. its @handle):');
+    if (!name || !name.trim()) return;
+    try {
+      const account = await window.electronAPI.createAccount(name);
+      setAccounts(prev => [...prev, account]);
+      setSelectedAccountId(account.id);
+      setAccountForm({ id: account.id, name: account.name, persona: '', dailyCap: 0, hourlyCap: 0, authMethod: 'oauth1' });
+      addLog('System', `Account "${account.name}" added. Enter its API credentials to post.`);
+    } catch (error) {
+      addLog('System', `Could not add account: ${error.message}`, 'error');
     }
+  };
 
-    // 2. Post to Twitter (with small delay)
-    setTimeout(async () => {
-      await postToTwitter(text);
-      // If automated, set status back to idle-waiting
-      if (isAutomated) setStatus('waiting');
-      else setStatus('success');
-    }, 2000);
+  const deleteAccount = async () => {
+    const account = accounts.find(a => a.id === selectedAccountId);
+    if (!account) return;
+    if (!window.confirm(`Delete account "${account.name}" with its topics, schedule, drafts and keys?`)) return;
+    try {
+      await window.electronAPI.deleteAccount(account.id);
+      const remaining = accounts.filter(a => a.id !== account.id);
+      setAccounts(remaining);
+      setAutopilotStatuses(({ [account.id]: _removed, ...rest }) => rest);
+      selectAccountInSettings(remaining[0]?.id || null);
+      addLog('System', `Account "${account.name}" deleted.`);
+    } catch (error) {
+      addLog('System', `Could not delete account: ${error.message}`, 'error');
+    }
   };
 
-  const generateText = async (topic) => {
-    if (!config.geminiKey) {
-      addLog('Error', 'Missing Gemini API Key.', 'error');
-      return null;
+  const startSignIn = async () => {
+    try {
+      await window.electronAPI.startSignIn(accountForm.id, accountForm.twitterConsumerKey, accountForm.twitterConsumerSecret);
+      setSignIn({ accountId: accountForm.id, pin: '' });
+      addLog('System', 'Authorize the app on X in your browser, then enter the PIN it shows.');
+    } catch (error) {
+      addLog('System', `Could not start sign-in: ${error.message}`, 'error');
     }
+  };
 
-    // Check availability of Electron API
-    if (!window.electronAPI) {
-      addLog('Error', 'This feature requires the Desktop App.', 'error');
-      return null;
+  const completeSignIn = async () => {
+    try {
+      const account = await window.electronAPI.completeSignIn(signIn.accountId, signIn.pin);
+      setAccounts(prev => prev.map(a => (a.id === account.id ? account : a)));
+      // The new access token is saved; clear any stale one typed in the form
+      setAccountForm(prev => (prev && prev.id === account.id ? { ...prev, twitterAccessToken: '', twitterTokenSecret: '' } : prev));
+      setSignIn(null);
+      addLog('System', `Connected as @${account.screenName}.`);
+    } catch (error) {
+      addLog('System', `Sign-in failed: ${error.message}`, 'error');
     }
+  };
+
+  // Both checks report problems in their result rather than throwing
+  const runVerification = async (name, check) => {
+    setVerification(prev => ({ ...prev, [name]: 'pending' }));
+    try {
+      const result = await check();
+      setVerification(prev => ({ ...prev, [name]: result }));
+    } catch (error) {
+      setVerification(prev => ({ ...prev, [name]: { ok: false, summary: error.message, details: [], problems: [] } }));
+    }
+  };
 
-    addLog('Gemini', `Topic: "${topic}". Generating timely content...`);
+  const verifyLlm = () => {
+    const provider = llmProviders.find(p => p.id === config.llm.provider);
+    return runVerification('llm', () => window.electronAPI.verifyLlm({ ...config.llm, apiKey: config[provider.keyName] || '' }));
+  };
+
+  const verifyAccount = () => {
+    const { twitterConsumerKey, twitterConsumerSecret, twitterAccessToken, twitterTokenSecret } = accountForm;
+    const credentials = accountForm.authMethod === 'oauth2'
+      ? null
+      : { twitterConsumerKey, twitterConsumerSecret, twitterAccessToken, twitterTokenSecret };
+    return runVerification('account', () => window.electronAPI.verifyAccount(accountForm.id, credentials));
+  };
+
+  const updateWebhook = (index, changes) => {
+    setWebhooks(prev => prev.map((hook, i) => (i === index ? { ...hook, ...changes } : hook)));
+  };
+
+  const addWebhook = () => {
+    setWebhooks(prev => [...prev, { name: '', url: '', format: 'json', events: ['posted', 'failed'], enabled: true }]);
+  };
 
+  const testWebhook = async (hook) => {
     try {
-      const now = new Date().toLocaleString();
-      const prompt = `
-        Current Date/Time: ${now}.
-        You are a professional Software Engineer specializing in Artificial Intelligence. 
-        Write a single, and engaging tweet about the topic: "${topic}".
-        - Make it relevant to general recent trends if applicable.
-        - Under 280 characters.
-        - No hashtags unless absolutely necessary for the topic context.
-        - No quotes around the tweet.
-        - Do not start with "Here is a tweet". Just output the tweet text.
-      `;
-
-      // Call Electron IPC
-      const data = await window.electronAPI.geminiGenerate(config.geminiKey, prompt);
-
-      const text = data.candidates?.[0]?.content?.parts?.[0]?.text?.trim();
-      
-      if (!text) throw new Error('No text returned from Gemini.');
+      const delivery = await window.electronAPI.testWebhook(hook.id);
+      addLog('System', delivery.status === 'delivered'
+        ? `Test sent to "${hook.name}" (${delivery.statusCode}).`
+        : `Test to "${hook.name}" failed: ${delivery.error}`, delivery.status === 'delivered' ? 'info' : 'error');
+    } catch (error) {
+      addLog('System', `Webhook test failed: ${error.message}`, 'error');
+    }
+  };
 
-      addLog('Gemini', `Generated: "${text}"`);
-      setGeneratedContent(text);
-      return text;
+  const clearWebhookDeliveries = async () => {
+    try {
+      await window.electronAPI.clearWebhookDeliveries();
+      setWebhookDeliveries([]);
     } catch (error) {
-      addLog('Gemini', `Error: ${error.message}`, 'error');
-      return null;
+      addLog('Error', `Failed to clear deliveries: ${error.message}`, 'error');
     }
   };
 
-  const postToTwitter = async (tweetText) => {
-    if (!config.twitterConsumerKey || !config.twitterAccessToken) {
-      addLog('Error', 'Missing Twitter credentials. Opening Web Intent.', 'error');
-      openWebIntent(tweetText);
-      return;
+  const connectOAuth2 = async () => {
+    setIsConnectingOAuth2(true);
+    addLog('System', 'Finish signing in to X in your browser...');
+    try {
+      const account = await window.electronAPI.connectOAuth2(accountForm.id, accountForm.twitterClientId || '', accountForm.twitterClientSecret || '');
+      setAccounts(prev => prev.map(a => (a.id === account.id ? account : a)));
+      setAccountForm(prev => (prev && prev.id === account.id ? { ...prev, authMethod: 'oauth2' } : prev));
+      addLog('System', `Connected as @${account.screenName} with OAuth 2.0.`);
+    } catch (error) {
+      addLog('System', `OAuth 2.0 sign-in failed: ${error.message}`, 'error');
+    } finally {
+      setIsConnectingOAuth2(false);
     }
+  };
 
-    // Check availability of Electron API
-    if (!window.electronAPI) {
-      addLog('Error', 'Automated posting requires Desktop App. Opening Web Intent.', 'warning');
-      openWebIntent(tweetText);
-      return;
+  const accountName = (accountId) => accounts.find(a => a.id === accountId)?.name;
+
+  const updateTopicSelection = async (changes) => {
+    const updated = { ...topicSelection, ...changes };
+    setTopicSelection(updated);
+    try {
+      setTopicSelection(await window.electronAPI.saveTopicSelection(selectedAccountId, updated));
+    } catch (error) {
+      addLog('Error', `Failed to save topic selection: ${error.message}`, 'error');
     }
+  };
 
-    addLog('Twitter', 'Unknown signature... sending to Main process...');
-    setStatus('posting');
+  const formatLastUsed = (timestamp) => {
+    if (!timestamp) return 'never used';
+    const minutes = Math.round((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'used just now';
+    return `used ${minutes < 120 ? `${minutes}m` : `${Math.round(minutes / 60)}h`} ago`;
+  };
 
-    const keys = {
-      consumerKey: config.twitterConsumerKey,
-      consumerSecret: config.twitterConsumerSecret,
-      accessToken: config.twitterAccessToken,
-      tokenSecret: config.twitterTokenSecret
-    };
+  const addTopic = () => {
+    if (!newTopic.trim()) return;
+    const group = topicGroup === 'all' ? '' : topicGroup;
+    saveTopics([...topics, toTopic({ label: newTopic.trim(), group })]);
+    setNewTopic('');
+  };
+
+  const removeTopic = (id) => {
+    saveTopics(topics.filter(topic => topic.id !== id));
+  };
+
+  const toggleTopic = (id) => {
+    saveTopics(topics.map(topic => (topic.id === id ? { ...topic, enabled: !topic.enabled } : topic)));
+  };
+
+  const startEditingTopic = (topic) => {
+    setEditingTopicId(topic.id);
+    setTopicForm({ label: topic.label, group: topic.group, tags: topic.tags.join(', '), notes: topic.notes });
+  };
+
+  const saveTopicEdit = async () => {
+    if (!topicForm.label.trim()) return;
+    const tags = topicForm.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    const previousLabel = topics.find(topic => topic.id === editingTopicId)?.label;
+    const label = topicForm.label.trim();
+    setEditingTopicId(null);
+    await saveTopics(topics.map(topic => (
+      topic.id === editingTopicId
+        ? { ...topic, label, group: topicForm.group.trim(), tags, notes: topicForm.notes.trim() }
+        : topic
+    )));
+
+    // A renamed topic's prompt override moves with it in the Main process
+    if (window.electronAPI && previousLabel && previousLabel !== label) {
+      if (templateTopic === previousLabel) setTemplateTopic(label);
+      window.electronAPI.getPromptTemplates().then(setPromptTemplates).catch(error => {
+        console.error('Failed to load prompt templates:', error);
+      });
+    }
+  };
+
+  // Drag and drop reordering (list order drives round-robin)
+  const dropTopic = (targetIndex) => {
+    if (dragIndex === null || dragIndex === targetIndex) return;
+    const updated = [...topics];
+    const [moved] = updated.splice(dragIndex, 1);
+    updated.splice(targetIndex, 0, moved);
+    setDragIndex(null);
+    saveTopics(updated);
+  };
 
+  const importTopics = async () => {
+    if (!requireDesktop()) return;
     try {
-      // Call Electron IPC
-      const data = await window.electronAPI.twitterPost(keys, tweetText);
-      addLog('Twitter', `Success! Tweet ID: ${data.data.id}`);
+      const result = await window.electronAPI.importTopics(selectedAccountId);
+      if (!result) return;
+      setTopics(result.topics);
+      addLog('System', `Imported ${result.added} topic(s)${result.skipped ? `, skipped ${result.skipped} already in the list` : ''}.`);
     } catch (error) {
-      addLog('Twitter', `Failed: ${error.message}`, 'error');
-      if (!isAutomated) openWebIntent(tweetText);
+      addLog('Error', `Topic import failed: ${error.message}`, 'error');
     }
   };
 
+  const exportTopics = async (format) => {
+    if (!requireDesktop()) return;
+    try {
+      const result = await window.electronAPI.exportTopics(selectedAccountId, format);
+      if (result) addLog('System', `Exported ${result.count} topic(s) to ${result.filePath}.`);
+    } catch (error) {
+      addLog('Error', `Topic export failed: ${error.message}`, 'error');
+    }
+  };
+
+  const topicGroups = [...new Set(topics.map(topic => topic.group).filter(Boolean))].sort();
+  const enabledTopics = topics.filter(topic => topic.enabled);
+
+  // Desktop: recorded by the Main process and echoed back through onAutopilotLog
+  const addLog = (source, message, level = 'info') => {
+    if (window.electronAPI) {
+      window.electronAPI.addLog({ source, message, level }).catch(error => console.error('Failed to write log:', error));
+      return;
+    }
+    const entry = { id: createId(), timestamp: Date.now(), level, source, accountId: null, accountName: null, message, payload: null };
+    setLogs(prev => [entry, ...prev].slice(0, MAX_CONSOLE_ENTRIES));
+  };
+
+  const exportLogs = async () => {
+    if (!requireDesktop()) return;
+    try {
+      const result = await window.electronAPI.exportLogs({ query: logQuery, level: logLevel, source: logSource });
+      if (result) addLog('System', `Exported ${result.count} log entries to ${result.filePath}.`);
+    } catch (error) {
+      addLog('Error', `Log export failed: ${error.message}`, 'error');
+    }
+  };
+
+  const clearLogs = async () => {
+    if (!window.confirm('Delete all stored log entries?')) return;
+    try {
+      await window.electronAPI.clearLogs();
+      setLogs([]);
+    } catch (error) {
+      addLog('Error', `Failed to clear log: ${error.message}`, 'error');
+    }
+  };
+
+  const logSources = [...new Set(logs.map(entry => entry.source))].sort();
+  const visibleLogs = logs.filter(entry => {
+    if (logLevel !== 'all' && entry.level !== logLevel) return false;
+    if (logSource !== 'all' && entry.source !== logSource) return false;
+    const needle = logQuery.trim().toLowerCase();
+    return !needle || [entry.message, entry.accountName, entry.payload && JSON.stringify(entry.payload)]
+      .some(value => value && value.toLowerCase().includes(needle));
+  });
+
   const openWebIntent = (text) => {
     const url = `https://twitter.com/intent/tweet?text=${encodeURIComponent(text)}`;
     window.open(url, '_blank');
   };
 
-  // -- Automation Loop --
-  const startAutomation = () => {
-    if (topics.length === 0) {
-      addLog('System', 'Add at least one topic first.', 'warning');
+  const openTweet = (tweetId) => {
+    window.open(`https://x.com/i/web/status/${tweetId}`, '_blank');
+  };
+
+  const clearHistory = async () => {
+    if (!requireDesktop()) return;
+    if (!window.confirm('Delete all post history? This cannot be undone.')) return;
+
+    try {
+      await window.electronAPI.clearHistory();
+      setHistoryVersion(version => version + 1);
+      addLog('System', 'Post history cleared.');
+    } catch (error) {
+      addLog('Error', `Failed to clear history: ${error.message}`, 'error');
+    }
+  };
+
+  // -- Automation Controls (Main process does the work) --
+  const requireDesktop = () => {
+    if (window.electronAPI) return true;
+    addLog('Error', 'This feature requires the Desktop App.', 'error');
+    return false;
+  };
+
+  const startAutomation = async () => {
+    if (enabledTopics.length === 0) {
+      addLog('System', 'Add (or enable) at least one topic first.', 'warning');
       return;
     }
+    if (!requireDesktop()) return;
 
-    setIsAutomated(true);
-    addLog('System', 'Autopilot STARTED. Loop interval: 40 minutes.');
-    
-    // Run immediately
-    runAutomationCycle();
+    try {
+      await window.electronAPI.startAutopilot(selectedAccountId);
+    } catch (error) {
+      addLog('Error', `Failed to start autopilot: ${error.message}`, 'error');
+    }
+  };
 
-    // Set interval
-    timerRef.current = setInterval(() => {
-      runAutomationCycle();
-    }, INTERVAL_MS);
+  const stopAutomation = async () => {
+    if (!requireDesktop()) return;
+
+    try {
+      await window.electronAPI.stopAutopilot(selectedAccountId);
+    } catch (error) {
+      addLog('Error', `Failed to stop autopilot: ${error.message}`, 'error');
+    }
   };
 
-  const stopAutomation = () => {
-    if (timerRef.current) clearInterval(timerRef.current);
-    if (countdownRef.current) clearInterval(countdownRef.current);
-    setIsAutomated(false);
-    setNextRunTime(null);
-    setTimeRemaining('');
-    setStatus('idle');
-    addLog('System', 'Autopilot STOPPED.');
+  const handleManualRun = async () => {
+    if (enabledTopics.length === 0) return;
+    if (!requireDesktop()) return;
+
+    try {
+      await window.electronAPI.runAutopilotOnce(selectedAccountId);
+    } catch (error) {
+      addLog('Error', `Run failed: ${error.message}`, 'error');
+    }
   };
 
-  const runAutomationCycle = () => {
-    // 1. Pick Random Topic
-    const randomIndex = Math.floor(Math.random() * topics.length);
-    const selectedTopic = topics[randomIndex];
-    
-    addLog('Autopilot', `Cycle starting. Selected topic: ${selectedTopic}`);
-    
-    // 2. Execute
-    processCycle(selectedTopic);
+  // -- Prompt Templates --
+  const savePromptTemplate = async () => {
+    if (!requireDesktop()) return;
+    const updated = templateTopic
+      ? { ...promptTemplates, topics: { ...promptTemplates.topics, [templateTopic]: templateDraft } }
+      : { ...promptTemplates, default: templateDraft === promptTemplates.builtIn ? '' : templateDraft };
 
-    // 3. Set Next Run Time for UI
-    const nextRun = new Date(Date.now() + INTERVAL_MS);
-    setNextRunTime(nextRun);
-    
-    // 4. Start Countdown UI
-    if (countdownRef.current) clearInterval(countdownRef.current);
-    countdownRef.current = setInterval(() => {
-      const diff = nextRun - Date.now();
-      if (diff <= 0) {
-        setTimeRemaining('Running...');
-      } else {
-        const minutes = Math.floor(diff / 60000);
-        const seconds = Math.floor((diff % 60000) / 1000);
-        setTimeRemaining(`${minutes}m ${seconds}s`);
+    try {
+      const saved = await window.electronAPI.savePromptTemplates(updated);
+      setPromptTemplates({ ...saved, builtIn: promptTemplates.builtIn });
+      addLog('System', templateTopic ? `Prompt template saved for "${templateTopic}".` : 'Default prompt template saved.');
+    } catch (error) {
+      addLog('Error', `Failed to save prompt template: ${error.message}`, 'error');
+    }
+  };
+
+  const resetPromptTemplate = () => {
+    setTemplateDraft(templateTopic ? '' : promptTemplates.builtIn);
+  };
+
+  // -- Threads --
+  const updateThreadSettings = async (changes) => {
+    const updated = { ...threadSettings, ...changes };
+    setThreadSettings(updated);
+    if (!window.electronAPI) return;
+
+    try {
+      setThreadSettings(await window.electronAPI.saveThreadSettings(updated));
+    } catch (error) {
+      addLog('Error', `Failed to save thread settings: ${error.message}`, 'error');
+    }
+  };
+
+  const postThread = async () => {
+    if (!threadText.trim() || !requireDesktop()) return;
+
+    setIsPostingThread(true);
+    try {
+      const result = await window.electronAPI.postThread(selectedAccountId, threadText, threadMedia);
+      if (result.success) {
+        setThreadText('');
+        setThreadMedia([]);
       }
-    }, 1000);
+    } catch (error) {
+      addLog('Error', `Post failed: ${error.message}`, 'error');
+    } finally {
+      setIsPostingThread(false);
+    }
+  };
+
+  // -- Composer --
+  const improveText = async () => {
+    if (!threadText.trim() || !requireDesktop()) return;
+
+    setIsImproving(true);
+    try {
+      setThreadText(await window.electronAPI.improveText(selectedAccountId, threadText));
+    } catch (error) {
+      addLog('Error', `Rewrite failed: ${error.message}`, 'error');
+    } finally {
+      setIsImproving(false);
+    }
   };
 
-  const handleManualRun = () => {
-    if (topics.length === 0) return;
-    const randomIndex = Math.floor(Math.random() * topics.length);
-    processCycle(topics[randomIndex]);
+  const schedulePost = async () => {
+    if (!threadText.trim() || !scheduleAt || !requireDesktop()) return;
+
+    setIsPostingThread(true);
+    try {
+      await window.electronAPI.schedulePost({
+        accountId: selectedAccountId,
+        text: threadText,
+        media: threadMedia,
+        at: new Date(scheduleAt).getTime()
+      });
+      setThreadText('');
+      setThreadMedia([]);
+      setScheduleAt('');
+    } catch (error) {
+      addLog('Error', `Could not schedule post: ${error.message}`, 'error');
+    } finally {
+      setIsPostingThread(false);
+    }
   };
 
+  const removeScheduledPost = async (id) => {
+    if (!window.electronAPI) return;
+
+    try {
+      await window.electronAPI.removeScheduledPost(id);
+    } catch (error) {
+      console.error('Failed to remove scheduled post:', error);
+    }
+  };
+
+  const resumeThread = async (id) => {
+    if (!requireDesktop()) return;
+
+    setResumingId(id);
+    try {
+      await window.electronAPI.resumeThread(id);
+    } catch (error) {
+      console.error('Failed to resume thread:', error);
+    } finally {
+      setResumingId(null);
+    }
+  };
+
+  // -- Draft Review Queue --
+  const toggleApprovalMode = async () => {
+    if (!requireDesktop()) return;
+    const enabled = !approvalMode;
+
+    try {
+      await window.electronAPI.setApprovalMode(enabled);
+      setApprovalMode(enabled);
+    } catch (error) {
+      addLog('Error', `Failed to change approval mode: ${error.message}`, 'error');
+    }
+  };
+
+  // Run a draft action, logging failures and marking the draft busy meanwhile
+  const runDraftAction = async (id, action, label) => {
+    setBusyDraftId(id);
+    try {
+      await action();
+    } catch (error) {
+      addLog('Drafts', `${label} failed: ${error.message}`, 'error');
+    } finally {
+      setBusyDraftId(null);
+    }
+  };
+
+  const startEditingDraft = (draft) => {
+    setEditingDraftId(draft.id);
+    setDraftText(draft.text);
+  };
+
+  const saveDraftEdit = (id) => runDraftAction(id, async () => {
+    await window.electronAPI.updateDraft(id, draftText);
+    setEditingDraftId(null);
+  }, 'Edit');
+
+  const approveDraft = (id) => runDraftAction(id, () => window.electronAPI.approveDraft(id), 'Approve');
+
+  const regenerateDraft = (id) => runDraftAction(id, () => window.electronAPI.regenerateDraft(id), 'Regenerate');
+
+  const setDraftMedia = (id, media) => runDraftAction(id, () => window.electronAPI.setDraftMedia(id, media), 'Attach media');
+
+  const discardDraft = (id) => runDraftAction(id, () => window.electronAPI.discardDraft(id), 'Discard');
+
   return (
     <div className="min-h-screen bg-slate-950 text-slate-200 font-sans selection:bg-cyan-500/30">
       
@@ -312,13 +1068,44 @@ export default function TweetAutomator() {
             </h1>
             <p className="text-xs text-slate-500">Autopilot Edition</p>
           </div>
+          {config.dryRun && (
+            <span
+              className="text-[10px] font-bold uppercase text-yellow-300 bg-yellow-950/50 border border-yellow-800/50 px-2 py-1 rounded"
+              title="Cycles run as usual, but nothing is posted to X"
+            >
+              Dry run
+            </span>
+          )}
+        </div>
+        <div className="flex items-center gap-3">
+          {accounts.length > 0 && (
+            <div className="flex items-center gap-2">
+              <Users className="w-4 h-4 text-slate-500" />
+              <select
+                value={selectedAccountId || ''}
+                onChange={(e) => setSelectedAccountId(e.target.value)}
+                className="bg-slate-950 border border-slate-800 rounded p-1.5 text-sm text-white focus:border-cyan-500 outline-none"
+              >
+                {accounts.map(account => (
+                  <option key={account.id} value={account.id}>
+                    {account.name}{autopilotStatuses[account.id]?.running ? ' ●' : ''}
+                  </option>
+                ))}
+              </select>
+              {runningCount > 0 && (
+                <span className="text-[10px] font-mono text-cyan-400 bg-cyan-950/50 px-2 py-1 rounded">
+                  {runningCount} running
+                </span>
+              )}
+            </div>
+          )}
+          <button 
+            onClick={openSettings}
+            className="p-2 hover:bg-slate-800 rounded-full transition-colors relative group"
+          >
+            <Settings className="w-5 h-5 text-slate-400 group-hover:text-cyan-400" />
+          </button>
         </div>
-        <button 
-          onClick={() => setShowSettings(true)}
-          className="p-2 hover:bg-slate-800 rounded-full transition-colors relative group"
-        >
-          <Settings className="w-5 h-5 text-slate-400 group-hover:text-cyan-400" />
-        </button>
       </header>
 
       {/* Main Content */}
@@ -345,7 +1132,7 @@ export default function TweetAutomator() {
                {!isAutomated ? (
                  <button 
                   onClick={startAutomation}
-                  disabled={topics.length === 0}
+                  disabled={enabledTopics.length === 0}
                   className="flex items-center justify-center gap-2 bg-green-600 hover:bg-green-500 disabled:opacity-50 disabled:cursor-not-allowed text-white py-3 rounded-lg font-bold transition-all hover:shadow-lg hover:shadow-green-500/20"
                  >
                    <Play className="w-4 h-4 fill-current" />
@@ -363,7 +1150,7 @@ export default function TweetAutomator() {
 
                <button
                  onClick={handleManualRun}
-                 disabled={isAutomated || topics.length === 0}
+                 disabled={isAutomated || enabledTopics.length === 0}
                  className="flex items-center justify-center gap-2 bg-slate-800 hover:bg-slate-700 disabled:opacity-50 text-slate-300 py-3 rounded-lg font-medium transition-all border border-slate-700"
                >
                  <Send className="w-4 h-4" />
@@ -371,16 +1158,225 @@ export default function TweetAutomator() {
                </button>
              </div>
              
+             <label className="flex items-center gap-2 mt-4 text-xs text-slate-400 cursor-pointer select-none">
+               <input
+                 type="checkbox"
+                 checked={approvalMode}
+                 onChange={toggleApprovalMode}
+                 className="accent-cyan-500"
+               />
+               Approval mode: queue generated tweets for review before posting
+             </label>
+
+             <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mt-2 text-xs text-slate-400">
+               <label className="flex items-center gap-2 cursor-pointer select-none">
+                 <input
+                   type="checkbox"
+                   checked={threadSettings.enabled}
+                   onChange={(e) => updateThreadSettings({ enabled: e.target.checked })}
+                   className="accent-cyan-500"
+                 />
+                 Thread mode, up to
+                 <input
+                   type="number"
+                   min="2"
+                   max="25"
+                   value={threadSettings.maxParts}
+                   onChange={(e) => updateThreadSettings({ maxParts: e.target.value })}
+                   className="w-12 bg-slate-950 border border-slate-800 rounded px-1 py-0.5 text-xs"
+                 />
+                 parts
+               </label>
+               <label className="flex items-center gap-2 cursor-pointer select-none">
+                 <input
+                   type="checkbox"
+                   checked={threadSettings.numbering}
+                   onChange={(e) => updateThreadSettings({ numbering: e.target.checked })}
+                   className="accent-cyan-500"
+                 />
+                 Number parts (1/n)
+               </label>
+             </div>
+
+             {isAutomated && nextRunTime && (
+               <p className="text-[11px] text-slate-500 mt-3 text-center">
+                 Next slot: {new Date(nextRunTime).toLocaleString()}
+               </p>
+             )}
+
+             {selectedStatus.pausedUntil && (
+               <p className="text-[11px] text-yellow-400 mt-2 text-center">
+                 {selectedStatus.pauseReason}. Paused until {new Date(selectedStatus.pausedUntil).toLocaleString()}.
+               </p>
+             )}
+
+             {quota && (
+               <div className="mt-3 pt-3 border-t border-slate-800 grid grid-cols-2 gap-2 text-[11px] text-slate-500">
+                 <span>
+                   This hour: {quota.postedLastHour}{quota.hourlyCap ? `/${quota.hourlyCap}` : ''}
+                 </span>
+                 <span className="text-right">
+                   Last 24h: {quota.postedLastDay}{quota.dailyCap ? `/${quota.dailyCap}` : ''}
+                 </span>
+                 {quota.userRemaining24h !== undefined && (
+                   <span title={quota.userReset24h ? `Resets ${new Date(quota.userReset24h).toLocaleString()}` : undefined}>
+                     X daily quota: {quota.userRemaining24h}/{quota.userLimit24h ?? '?'} left
+                   </span>
+                 )}
+                 {quota.remaining !== undefined && (
+                   <span className="text-right" title={quota.reset ? `Resets ${new Date(quota.reset).toLocaleString()}` : undefined}>
+                     X window: {quota.remaining}/{quota.limit ?? '?'} left
+                   </span>
+                 )}
+               </div>
+             )}
           </div>
 
+          {/* Schedule */}
+          <div className="bg-slate-900 border border-slate-800 rounded-xl p-5 shadow-lg shadow-black/20 space-y-3">
+            <h2 className="text-sm font-bold text-slate-400 uppercase flex items-center gap-2">
+              <CalendarClock className="w-4 h-4" />
+              Schedule
+            </h2>
 
-          {/* Topic List */}
+            <select
+              value={schedule.mode}
+              onChange={(e) => setSchedule({...schedule, mode: e.target.value})}
+              className="w-full bg-slate-950 border border-slate-800 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-cyan-500"
+            >
+              <option value="interval">Fixed interval</option>
+              <option value="daily">N times per day</option>
+              <option value="cron">Cron expression</option>
+            </select>
+
+            {schedule.mode === 'interval' && (
+              <div className="space-y-1">
+                <span className="text-[10px] text-slate-500">Every (minutes)</span>
+                <input
+                  type="number"
+                  min="1"
+                  value={schedule.intervalMinutes}
+                  onChange={(e) => setSchedule({...schedule, intervalMinutes: e.target.value})}
+                  className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                />
+              </div>
+            )}
+
+            {schedule.mode === 'daily' && (
+              <div className="grid grid-cols-3 gap-2">
+                <div className="space-y-1">
+                  <span className="text-[10px] text-slate-500">Times per day</span>
+                  <input
+                    type="number"
+                    min="1"
+                    max="96"
+                    value={schedule.timesPerDay}
+                    onChange={(e) => setSchedule({...schedule, timesPerDay: e.target.value})}
+                    className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                  />
+                </div>
+                <div className="space-y-1">
+                  <span className="text-[10px] text-slate-500">From</span>
+                  <input
+                    type="time"
+                    value={schedule.windowStart}
+                    onChange={(e) => setSchedule({...schedule, windowStart: e.target.value})}
+                    className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                  />
+                </div>
+                <div className="space-y-1">
+                  <span className="text-[10px] text-slate-500">To</span>
+                  <input
+                    type="time"
+                    value={schedule.windowEnd}
+                    onChange={(e) => setSchedule({...schedule, windowEnd: e.target.value})}
+                    className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                  />
+                </div>
+              </div>
+            )}
+
+            {schedule.mode === 'cron' && (
+              <div className="space-y-1">
+                <span className="text-[10px] text-slate-500">minute hour day-of-month month day-of-week</span>
+                <input
+                  type="text"
+                  value={schedule.cron}
+                  onChange={(e) => setSchedule({...schedule, cron: e.target.value})}
+                  placeholder="0 9-17 * * 1-5"
+                  className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm font-mono"
+                />
+              </div>
+            )}
+
+            <div className="grid grid-cols-2 gap-2">
+              <div className="space-y-1">
+                <span className="text-[10px] text-slate-500">Jitter (± minutes)</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={schedule.jitterMinutes}
+                  onChange={(e) => setSchedule({...schedule, jitterMinutes: e.target.value})}
+                  className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                />
+              </div>
+              <div className="space-y-1">
+                <span className="text-[10px] text-slate-500">Timezone (empty = system)</span>
+                <input
+                  type="text"
+                  list="timezone-options"
+                  value={schedule.timezone}
+                  onChange={(e) => setSchedule({...schedule, timezone: e.target.value})}
+                  placeholder="e.g. Europe/London"
+                  className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                />
+                <datalist id="timezone-options">
+                  {TIMEZONES.map(zone => <option key={zone} value={zone} />)}
+                </datalist>
+              </div>
+            </div>
+
+            {schedulePreview && (
+              schedulePreview.success ? (
+                <div className="text-[11px] text-slate-500 space-y-0.5">
+                  <p className="text-slate-400">Upcoming slots (before jitter):</p>
+                  {schedulePreview.slots.slice(0, 3).map(slot => (
+                    <p key={slot} className="font-mono">{new Date(slot).toLocaleString()}</p>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-[11px] text-red-400">{schedulePreview.error}</p>
+              )
+            )}
+
+            <button
+              onClick={saveSchedule}
+              className="w-full bg-cyan-600 hover:bg-cyan-500 text-white py-2 rounded-lg text-sm font-medium transition-colors"
+            >
+              Save Schedule
+            </button>
+          </div>
+
+          {/* Topic Library */}
           <div className="bg-slate-900 border border-slate-800 rounded-xl p-5 shadow-lg shadow-black/20">
             <div className="flex items-center justify-between mb-4">
                <label className="flex items-center gap-2 text-sm font-medium text-slate-400">
                  <Edit3 className="w-4 h-4" />
-                 Topic List ({topics.length}/10)
+                 Topics ({enabledTopics.length}/{topics.length} enabled)
                </label>
+               {window.electronAPI && (
+                 <div className="flex items-center gap-2 text-[11px]">
+                   <button onClick={importTopics} className="text-slate-400 hover:text-cyan-400 flex items-center gap-1" title="Import CSV or JSON">
+                     <Upload className="w-3 h-3" /> Import
+                   </button>
+                   <button onClick={() => exportTopics('json')} className="text-slate-400 hover:text-cyan-400 flex items-center gap-1">
+                     <Download className="w-3 h-3" /> JSON
+                   </button>
+                   <button onClick={() => exportTopics('csv')} className="text-slate-400 hover:text-cyan-400 flex items-center gap-1">
+                     <Download className="w-3 h-3" /> CSV
+                   </button>
+                 </div>
+               )}
             </div>
             
             <div className="flex gap-2 mb-4">
@@ -395,31 +1391,320 @@ export default function TweetAutomator() {
               />
               <button 
                 onClick={addTopic}
-                disabled={isAutomated || topics.length >= 10}
+                disabled={isAutomated}
                 className="bg-cyan-600 hover:bg-cyan-500 disabled:bg-slate-800 disabled:text-slate-500 text-white p-2 rounded-lg transition-colors"
               >
                 <Plus className="w-5 h-5" />
               </button>
             </div>
+            {topicSelection && (
+              <div className="grid grid-cols-2 gap-2 mb-4">
+                <div className="space-y-1">
+                  <span className="text-[10px] uppercase font-bold text-slate-500">Pick topics</span>
+                  <select
+                    value={topicSelection.strategy}
+                    onChange={(e) => updateTopicSelection({ strategy: e.target.value })}
+                    className="w-full bg-slate-950 border border-slate-800 rounded p-1.5 text-xs text-white focus:border-cyan-500 outline-none"
+                  >
+                    <option value="random">Random</option>
+                    <option value="round-robin">Round-robin</option>
+                    <option value="weighted">Weighted random</option>
+                    <option value="least-recent">Least recently used</option>
+                  </select>
+                </div>
+                <div className="space-y-1">
+                  <span className="text-[10px] uppercase font-bold text-slate-500">Cooldown (min)</span>
+                  <input
+                    type="number"
+                    min={0}
+                    value={topicSelection.cooldownMinutes}
+                    onChange={(e) => updateTopicSelection({ cooldownMinutes: e.target.value })}
+                    className="w-full bg-slate-950 border border-slate-800 rounded p-1.5 text-xs focus:border-cyan-500 outline-none"
+                  />
+                </div>
+              </div>
+            )}
+
+            {topicGroups.length > 0 && (
+              <select
+                value={topicGroup}
+                onChange={(e) => setTopicGroup(e.target.value)}
+                className="w-full mb-3 bg-slate-950 border border-slate-800 rounded p-1.5 text-xs text-white focus:border-cyan-500 outline-none"
+              >
+                <option value="all">All groups</option>
+                {topicGroups.map(group => (
+                  <option key={group} value={group}>{group}</option>
+                ))}
+              </select>
+            )}
 
-            <div className="space-y-2 max-h-[300px] overflow-y-auto pr-1">
+            <div className="space-y-2 max-h-[400px] overflow-y-auto pr-1">
               {topics.length === 0 && (
                 <p className="text-center text-slate-600 text-xs py-4 italic">No topics added yet.</p>
               )}
-              {topics.map((topic, idx) => (
-                <div key={idx} className="flex items-center justify-between bg-slate-950 border border-slate-800/50 p-3 rounded-lg group hover:border-slate-700 transition-colors">
-                  <span className="text-sm text-slate-300 font-medium truncate">{topic}</span>
-                  {!isAutomated && (
-                    <button 
-                      onClick={() => removeTopic(idx)}
-                      className="text-slate-600 hover:text-red-400 transition-colors"
-                    >
-                      <Trash2 className="w-4 h-4" />
-                    </button>
+              {topics.map((topic, idx) => (topicGroup !== 'all' && topic.group !== topicGroup) ? null : (
+                <div
+                  key={topic.id}
+                  draggable={editingTopicId !== topic.id}
+                  onDragStart={() => setDragIndex(idx)}
+                  onDragOver={(e) => e.preventDefault()}
+                  onDrop={() => dropTopic(idx)}
+                  onDragEnd={() => setDragIndex(null)}
+                  className={`bg-slate-950 border p-3 rounded-lg group hover:border-slate-700 transition-colors ${
+                    dragIndex === idx ? 'border-cyan-700 opacity-50' : 'border-slate-800/50'
+                  } ${topic.enabled ? '' : 'opacity-60'}`}
+                >
+                  {editingTopicId === topic.id ? (
+                    <div className="space-y-2">
+                      <input
+                        type="text"
+                        value={topicForm.label}
+                        onChange={(e) => setTopicForm({ ...topicForm, label: e.target.value })}
+                        placeholder="Label"
+                        className="w-full bg-slate-900 border border-slate-800 rounded p-1.5 text-sm focus:border-cyan-500 outline-none"
+                      />
+                      <div className="grid grid-cols-2 gap-2">
+                        <input
+                          type="text"
+                          value={topicForm.group}
+                          onChange={(e) => setTopicForm({ ...topicForm, group: e.target.value })}
+                          placeholder="Group"
+                          list="topic-groups"
+                          className="bg-slate-900 border border-slate-800 rounded p-1.5 text-xs focus:border-cyan-500 outline-none"
+                        />
+                        <input
+                          type="text"
+                          value={topicForm.tags}
+                          onChange={(e) => setTopicForm({ ...topicForm, tags: e.target.value })}
+                          placeholder="Tags, comma-separated"
+                          className="bg-slate-900 border border-slate-800 rounded p-1.5 text-xs focus:border-cyan-500 outline-none"
+                        />
+                      </div>
+                      <textarea
+                        value={topicForm.notes}
+                        onChange={(e) => setTopicForm({ ...topicForm, notes: e.target.value })}
+                        placeholder="Notes"
+                        rows={2}
+                        className="w-full bg-slate-900 border border-slate-800 rounded p-1.5 text-xs resize-none focus:border-cyan-500 outline-none"
+                      />
+                      <div className="flex gap-3 text-[11px]">
+                        <button onClick={saveTopicEdit} className="text-cyan-400 hover:text-cyan-300 flex items-center gap-1">
+                          <Check className="w-3 h-3" /> Save
+                        </button>
+                        <button onClick={() => setEditingTopicId(null)} className="text-slate-500 hover:text-white">Cancel</button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="flex items-center justify-between gap-2">
+                      <GripVertical className="w-4 h-4 text-slate-700 cursor-grab shrink-0" />
+                      <input
+                        type="checkbox"
+                        checked={topic.enabled}
+                        onChange={() => toggleTopic(topic.id)}
+                        title={topic.enabled ? 'Enabled' : 'Disabled'}
+                        className="accent-cyan-500 shrink-0"
+                      />
+                      <div className="min-w-0">
+                        <span className="block text-sm text-slate-300 font-medium truncate" title={topic.notes || undefined}>{topic.label}</span>
+                        <span className="text-[10px] text-slate-600">
+                          {[topic.group, ...topic.tags.map(tag => `#${tag}`)].filter(Boolean).join(' · ')}
+                          {topicSelection && `${topic.group || topic.tags.length ? ' · ' : ''}${formatLastUsed(topicSelection.lastUsed[topic.id])}`}
+                        </span>
+                      </div>
+                      {topicSelection && (
+                        <div className="flex items-center gap-1 ml-auto shrink-0">
+                          {topicSelection.strategy === 'weighted' && (
+                            <input
+                              type="number"
+                              min={0}
+                              step={0.5}
+                              title="Weight"
+                              value={topicSelection.weights[topic.id] ?? 1}
+                              onChange={(e) => updateTopicSelection({ weights: { ...topicSelection.weights, [topic.id]: e.target.value } })}
+                              className="w-12 bg-slate-900 border border-slate-800 rounded p-1 text-[11px] focus:border-cyan-500 outline-none"
+                            />
+                          )}
+                          <input
+                            type="number"
+                            min={0}
+                            title="Cooldown in minutes (blank = default)"
+                            placeholder={String(topicSelection.cooldownMinutes || 0)}
+                            value={topicSelection.cooldowns[topic.id] ?? ''}
+                            onChange={(e) => updateTopicSelection({ cooldowns: { ...topicSelection.cooldowns, [topic.id]: e.target.value } })}
+                            className="w-12 bg-slate-900 border border-slate-800 rounded p-1 text-[11px] focus:border-cyan-500 outline-none"
+                          />
+                        </div>
+                      )}
+                      <button
+                        onClick={() => startEditingTopic(topic)}
+                        className="text-slate-600 hover:text-white transition-colors shrink-0"
+                      >
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                      {!isAutomated && (
+                        <button 
+                          onClick={() => removeTopic(topic.id)}
+                          className="text-slate-600 hover:text-red-400 transition-colors shrink-0"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
                   )}
                 </div>
               ))}
             </div>
+            <datalist id="topic-groups">
+              {topicGroups.map(group => <option key={group} value={group} />)}
+            </datalist>
+          </div>
+
+          {/* Prompt Template */}
+          {promptTemplates && (
+            <div className="bg-slate-900 border border-slate-800 rounded-xl p-5 shadow-lg shadow-black/20 space-y-3">
+              <div className="flex items-center justify-between gap-2">
+                <h2 className="text-sm font-bold text-slate-400 uppercase flex items-center gap-2">
+                  <FileText className="w-4 h-4" />
+                  Prompt Template
+                </h2>
+                <select
+                  value={templateTopic}
+                  onChange={(e) => setTemplateTopic(e.target.value)}
+                  className="max-w-[50%] bg-slate-950 border border-slate-800 rounded p-1.5 text-xs text-white focus:border-cyan-500 outline-none"
+                >
+                  <option value="">Default (all topics)</option>
+                  {topics.map(topic => (
+                    <option key={topic.id} value={topic.label}>
+                      {topic.label}{promptTemplates.topics[topic.label] ? ' *' : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <textarea
+                value={templateDraft}
+                onChange={(e) => setTemplateDraft(e.target.value)}
+                rows={8}
+                placeholder="Empty: this topic uses the default template."
+                className="w-full bg-slate-950 border border-slate-800 rounded-lg p-3 text-xs font-mono focus:outline-none focus:border-cyan-500"
+              />
+              <p className="text-[10px] text-slate-500">
+                Variables: {'{topic}'} {'{date}'} {'{persona}'} {'{recent_posts}'} {'{max_chars}'}. Thread mode uses its own prompt.
+              </p>
+              {promptPreview && (
+                <div className="space-y-1">
+                  <span className="text-[10px] uppercase font-bold text-slate-500">Preview{templateTopic ? '' : ` (${topics[0]?.label || 'Example topic'})`}</span>
+                  <pre className="bg-slate-950 border border-slate-800/50 p-2 rounded text-[11px] text-slate-400 whitespace-pre-wrap max-h-[200px] overflow-y-auto">{promptPreview}</pre>
+                </div>
+              )}
+              <div className="flex gap-2">
+                <button
+                  onClick={resetPromptTemplate}
+                  className="px-3 py-2 rounded-lg text-sm text-slate-400 hover:text-white bg-slate-800 hover:bg-slate-700 transition-colors"
+                >
+                  {templateTopic ? 'Use Default' : 'Reset'}
+                </button>
+                <button
+                  onClick={savePromptTemplate}
+                  className="flex-1 bg-cyan-600 hover:bg-cyan-500 text-white py-2 rounded-lg text-sm font-medium transition-colors"
+                >
+                  Save Template
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Compose */}
+          <div className="bg-slate-900 border border-slate-800 rounded-xl p-5 shadow-lg shadow-black/20 space-y-3">
+            <h2 className="text-sm font-bold text-slate-400 uppercase flex items-center gap-2">
+              <Layers className="w-4 h-4" />
+              Compose
+            </h2>
+            <textarea
+              value={threadText}
+              onChange={(e) => setThreadText(e.target.value)}
+              rows={5}
+              placeholder="Write or paste text. Anything over 280 characters is split on sentence boundaries into a thread."
+              className="w-full bg-slate-950 border border-slate-800 rounded-lg p-3 text-sm focus:outline-none focus:border-cyan-500"
+            />
+            <div className="flex items-center justify-between">
+              <button
+                onClick={improveText}
+                disabled={!threadText.trim() || isImproving || isPostingThread}
+                className="flex items-center gap-1 text-xs text-cyan-400 hover:text-cyan-300 disabled:text-slate-600 transition-colors"
+                title="Rewrite with the AI provider in this account's persona"
+              >
+                {isImproving ? <Loader2 className="w-3 h-3 animate-spin" /> : <Sparkles className="w-3 h-3" />}
+                Improve with AI
+              </button>
+              {threadCount && (
+                <div className={`text-[10px] font-mono ${
+                  threadCount.valid ? (threadCount.remaining < 20 ? 'text-yellow-400' : 'text-slate-500') : 'text-orange-400'
+                }`}>
+                  {threadCount.weighted}/{threadCount.max}{threadCount.valid ? '' : ' · will post as a thread'}
+                </div>
+              )}
+            </div>
+            <MediaAttachments media={threadMedia} onChange={setThreadMedia} disabled={isPostingThread} />
+            {threadPreview.length > 1 && (
+              <div className="space-y-2 max-h-[240px] overflow-y-auto pr-1">
+                {threadPreview.map((part, idx) => (
+                  <div key={idx} className="bg-slate-950 border border-slate-800/50 p-2 rounded text-xs text-slate-300">
+                    <span className="text-[10px] text-slate-500 block mb-1">Part {idx + 1} · {part.weighted}/280</span>
+                    {part.text}
+                  </div>
+                ))}
+              </div>
+            )}
+            <button
+              onClick={postThread}
+              disabled={!threadText.trim() || isPostingThread}
+              className="w-full flex items-center justify-center gap-2 bg-cyan-600 hover:bg-cyan-500 disabled:bg-slate-800 disabled:text-slate-500 text-white py-2 rounded-lg text-sm font-medium transition-colors"
+            >
+              {isPostingThread ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+              {threadPreview.length > 1 ? `Post ${threadPreview.length}-part Thread Now` : 'Post Now'}
+            </button>
+            <div className="flex gap-2">
+              <input
+                type="datetime-local"
+                value={scheduleAt}
+                onChange={(e) => setScheduleAt(e.target.value)}
+                className="flex-1 bg-slate-950 border border-slate-800 rounded-lg px-3 py-2 text-sm text-slate-300 focus:outline-none focus:border-cyan-500"
+              />
+              <button
+                onClick={schedulePost}
+                disabled={!threadText.trim() || !scheduleAt || isPostingThread}
+                className="flex items-center gap-2 bg-slate-800 hover:bg-slate-700 disabled:text-slate-600 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+              >
+                <CalendarClock className="w-4 h-4" />
+                Schedule
+              </button>
+            </div>
+            {scheduledPosts.length > 0 && (
+              <div className="space-y-2 max-h-[240px] overflow-y-auto pr-1">
+                {scheduledPosts.map(post => (
+                  <div key={post.id} className="bg-slate-950 border border-slate-800/50 p-2 rounded text-xs space-y-1">
+                    <div className="flex items-center justify-between text-[10px] uppercase">
+                      <span className="text-slate-500 truncate">
+                        {accountName(post.accountId) ? `@${accountName(post.accountId)} · ` : ''}{new Date(post.at).toLocaleString()}
+                        {post.media.length > 0 ? ` · ${post.media.length} media` : ''}
+                      </span>
+                      <button
+                        onClick={() => removeScheduledPost(post.id)}
+                        className="text-slate-500 hover:text-red-400 transition-colors"
+                        title={post.status === 'failed' ? 'Dismiss' : 'Cancel'}
+                      >
+                        <X className="w-3 h-3" />
+                      </button>
+                    </div>
+                    <p className="text-slate-300 whitespace-pre-wrap line-clamp-3">{post.text}</p>
+                    {post.status === 'failed' && <p className="text-[11px] text-red-400">Failed: {post.error}</p>}
+                    {post.status === 'scheduled' && post.retryAt && (
+                      <p className="text-[11px] text-yellow-400">Held back, retrying {new Date(post.retryAt).toLocaleString()}: {post.error}</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
 
         </div>
@@ -449,6 +1734,86 @@ export default function TweetAutomator() {
             )}
           </div>
 
+          {/* Review Queue */}
+          {(approvalMode || drafts.length > 0) && (
+            <div className="bg-slate-900 border border-slate-800 rounded-xl p-5 shadow-lg shadow-black/20">
+              <h3 className="text-sm font-medium text-slate-400 flex items-center gap-2 mb-3">
+                <Inbox className="w-4 h-4 text-cyan-400" />
+                Review Queue ({drafts.filter(draft => draft.status === 'pending').length} pending)
+              </h3>
+
+              <div className="space-y-3 max-h-[400px] overflow-y-auto pr-1">
+                {drafts.length === 0 && (
+                  <p className="text-center text-slate-600 text-xs py-4 italic">No drafts yet. Autopilot will queue them here.</p>
+                )}
+                {drafts.map(draft => (
+                  <div key={draft.id} className="bg-slate-950 border border-slate-800/50 p-3 rounded-lg space-y-2">
+                    <div className="flex items-center justify-between text-[10px] uppercase">
+                      <span className="text-slate-500 truncate">
+                        {accountName(draft.accountId) ? `@${accountName(draft.accountId)} · ` : ''}{draft.topic}{draft.parts ? ` · thread (${draft.parts.length} parts)` : ''}
+                      </span>
+                      <span className={
+                        draft.status === 'approved' ? 'text-green-400' :
+                        draft.status === 'failed' ? 'text-red-400' : 'text-yellow-400'
+                      }>
+                        {draft.status}
+                      </span>
+                    </div>
+
+                    {editingDraftId === draft.id ? (
+                      <textarea
+                        value={draftText}
+                        onChange={(e) => setDraftText(e.target.value)}
+                        rows={4}
+                        className="w-full bg-slate-900 border border-slate-800 rounded p-2 text-sm text-white focus:border-cyan-500 outline-none"
+                      />
+                    ) : (
+                      <p className="text-sm text-slate-200 leading-relaxed whitespace-pre-wrap">{draft.text}</p>
+                    )}
+
+                    <MediaAttachments
+                      media={draft.media}
+                      onChange={(media) => setDraftMedia(draft.id, media)}
+                      disabled={busyDraftId === draft.id}
+                    />
+
+                    {draft.error && <p className="text-[11px] text-red-400">{draft.error}</p>}
+
+                    <div className="flex items-center gap-3 text-xs">
+                      {editingDraftId === draft.id ? (
+                        <>
+                          <button onClick={() => saveDraftEdit(draft.id)} disabled={busyDraftId === draft.id} className="text-cyan-400 hover:text-cyan-300 flex items-center gap-1">
+                            <Check className="w-3 h-3" /> Save
+                          </button>
+                          <button onClick={() => setEditingDraftId(null)} className="text-slate-500 hover:text-slate-300">
+                            Cancel
+                          </button>
+                        </>
+                      ) : (
+                        <>
+                          {draft.status !== 'approved' && (
+                            <button onClick={() => approveDraft(draft.id)} disabled={busyDraftId === draft.id} className="text-green-400 hover:text-green-300 flex items-center gap-1 disabled:opacity-50">
+                              <Check className="w-3 h-3" /> Approve
+                            </button>
+                          )}
+                          <button onClick={() => startEditingDraft(draft)} disabled={busyDraftId === draft.id} className="text-slate-400 hover:text-white flex items-center gap-1 disabled:opacity-50">
+                            <Pencil className="w-3 h-3" /> Edit
+                          </button>
+                          <button onClick={() => regenerateDraft(draft.id)} disabled={busyDraftId === draft.id} className="text-purple-400 hover:text-purple-300 flex items-center gap-1 disabled:opacity-50">
+                            <RefreshCw className={`w-3 h-3 ${busyDraftId === draft.id ? 'animate-spin' : ''}`} /> Regenerate
+                          </button>
+                          <button onClick={() => discardDraft(draft.id)} disabled={busyDraftId === draft.id} className="text-slate-600 hover:text-red-400 flex items-center gap-1 ml-auto disabled:opacity-50">
+                            <Trash2 className="w-3 h-3" /> Discard
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Console */}
           <div className="flex flex-col h-[400px] bg-black border border-slate-800 rounded-xl overflow-hidden font-mono text-xs shadow-2xl">
             <div className="bg-slate-900 p-2 border-b border-slate-800 flex items-center justify-between">
@@ -459,28 +1824,190 @@ export default function TweetAutomator() {
               <div className="flex items-center gap-2">
                 {status === 'waiting' && <span className="text-yellow-500 flex items-center gap-1"><Clock className="w-3 h-3"/> Waiting</span>}
                 {status === 'success' && <span className="text-green-500 flex items-center gap-1"><CheckCircle className="w-3 h-3"/> Sent</span>}
+                {window.electronAPI && (
+                  <>
+                    <button onClick={exportLogs} className="text-slate-500 hover:text-cyan-400 flex items-center gap-1" title="Export as JSONL">
+                      <Download className="w-3 h-3" />
+                    </button>
+                    <button onClick={clearLogs} className="text-slate-500 hover:text-red-400 flex items-center gap-1" title="Clear log">
+                      <Trash2 className="w-3 h-3" />
+                    </button>
+                  </>
+                )}
               </div>
             </div>
+            <div className="bg-slate-950 p-2 border-b border-slate-800 flex gap-2">
+              <input
+                type="text"
+                value={logQuery}
+                onChange={(e) => setLogQuery(e.target.value)}
+                placeholder="Search logs..."
+                className="flex-1 min-w-0 bg-black border border-slate-800 rounded px-2 py-1 text-xs focus:outline-none focus:border-cyan-500"
+              />
+              <select
+                value={logLevel}
+                onChange={(e) => setLogLevel(e.target.value)}
+                className="bg-black border border-slate-800 rounded px-1 py-1 text-xs focus:outline-none focus:border-cyan-500"
+              >
+                <option value="all">All levels</option>
+                <option value="info">Info</option>
+                <option value="warning">Warning</option>
+                <option value="error">Error</option>
+              </select>
+              <select
+                value={logSource}
+                onChange={(e) => setLogSource(e.target.value)}
+                className="bg-black border border-slate-800 rounded px-1 py-1 text-xs focus:outline-none focus:border-cyan-500"
+              >
+                <option value="all">All sources</option>
+                {logSources.map(source => (
+                  <option key={source} value={source}>{source}</option>
+                ))}
+              </select>
+            </div>
             <div className="flex-1 p-4 overflow-y-auto space-y-2">
-              {logs.length === 0 && (
-                <div className="text-slate-700 text-center mt-20">System ready.</div>
+              {visibleLogs.length === 0 && (
+                <div className="text-slate-700 text-center mt-20">{logs.length === 0 ? 'System ready.' : 'No matching log entries.'}</div>
               )}
-              {logs.map((log, i) => (
-                <div key={i} className="border-l-2 border-slate-800 pl-2 py-1">
-                  <span className={`${
-                    log.includes('[Error]') ? 'text-red-400' : 
-                    log.includes('[Twitter]') ? 'text-blue-400' :
-                    log.includes('[Gemini]') ? 'text-purple-400' : 
-                    log.includes('[Autopilot]') ? 'text-green-400' : 'text-slate-500'
-                  }`}>
-                    {log}
+              {visibleLogs.map(entry => (
+                <div key={entry.id} className={`border-l-2 pl-2 py-1 ${
+                  entry.level === 'error' ? 'border-red-900' : entry.level === 'warning' ? 'border-yellow-900' : 'border-slate-800'
+                }`}>
+                  <span className={
+                    entry.level === 'error' ? 'text-red-400' :
+                    entry.level === 'warning' ? 'text-orange-300' :
+                    LOG_SOURCE_COLORS[entry.source] || 'text-slate-500'
+                  }>
+                    [{new Date(entry.timestamp).toLocaleTimeString()}]{entry.accountName ? ` [@${entry.accountName}]` : ''} [{entry.source}] {entry.message}
                   </span>
+                  {entry.payload && (
+                    <span className="block text-[10px] text-slate-700 truncate" title={JSON.stringify(entry.payload)}>
+                      {JSON.stringify(entry.payload)}
+                    </span>
+                  )}
                 </div>
               ))}
             </div>
           </div>
         </div>
 
+        {/* Post History */}
+        <div className="md:col-span-2 bg-slate-900 border border-slate-800 rounded-xl p-5 shadow-lg shadow-black/20">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <h2 className="text-sm font-bold text-slate-400 uppercase flex items-center gap-2">
+              <History className="w-4 h-4" />
+              Post History
+            </h2>
+            <div className="flex items-center gap-2">
+              <div className="relative">
+                <Search className="w-3 h-3 text-slate-500 absolute left-2 top-1/2 -translate-y-1/2" />
+                <input
+                  type="text"
+                  value={historyQuery}
+                  onChange={(e) => setHistoryQuery(e.target.value)}
+                  placeholder="Search topic, text, ID..."
+                  className="bg-slate-950 border border-slate-800 rounded-lg pl-7 pr-3 py-1.5 text-xs focus:outline-none focus:border-cyan-500"
+                />
+              </div>
+              <select
+                value={historyStatus}
+                onChange={(e) => setHistoryStatus(e.target.value)}
+                className="bg-slate-950 border border-slate-800 rounded-lg px-2 py-1.5 text-xs focus:outline-none focus:border-cyan-500"
+              >
+                <option value="all">All</option>
+                <option value="posted">Posted</option>
+                <option value="failed">Failed</option>
+                <option value="duplicate">Duplicate</option>
+                <option value="simulated">Simulated</option>
+              </select>
+              {accounts.length > 1 && (
+                <select
+                  value={historyAccount}
+                  onChange={(e) => setHistoryAccount(e.target.value)}
+                  className="bg-slate-950 border border-slate-800 rounded-lg px-2 py-1.5 text-xs focus:outline-none focus:border-cyan-500"
+                >
+                  <option value="all">All accounts</option>
+                  {accounts.map(account => (
+                    <option key={account.id} value={account.id}>{account.name}</option>
+                  ))}
+                </select>
+              )}
+              <button
+                onClick={clearHistory}
+                className="text-slate-600 hover:text-red-400 transition-colors p-1"
+                title="Clear history"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+
+          <div className="space-y-2 max-h-[400px] overflow-y-auto pr-1">
+            {historyEntries.length === 0 && (
+              <p className="text-center text-slate-600 text-xs py-4 italic">No matching attempts recorded.</p>
+            )}
+            {historyEntries.map(entry => (
+              <div key={entry.id} className="bg-slate-950 border border-slate-800/50 p-3 rounded-lg">
+                <div className="flex items-center justify-between gap-3 text-[10px] mb-1">
+                  <span className="text-slate-500">
+                    {new Date(entry.timestamp).toLocaleString()}{entry.accountName ? ` · @${entry.accountName}` : ''} · {entry.topic || 'No topic'}{entry.manual ? ' · manual' : ''}
+                  </span>
+                  <span className={`uppercase font-bold ${
+                    entry.status === 'posted' ? 'text-green-400'
+                      : entry.status === 'duplicate' ? 'text-yellow-400'
+                      : entry.status === 'simulated' ? 'text-slate-400'
+                      : 'text-red-400'
+                  }`}>
+                    {entry.status}{entry.statusCode ? ` (${entry.statusCode})` : ''}
+                  </span>
+                </div>
+                {entry.parts ? (
+                  <ol className="space-y-1">
+                    {entry.parts.map((part, idx) => (
+                      <li key={idx} className={`text-sm whitespace-pre-wrap ${idx < (entry.tweetIds || []).length || entry.status === 'simulated' ? 'text-slate-200' : 'text-slate-500'}`}>
+                        {part}
+                      </li>
+                    ))}
+                  </ol>
+                ) : (
+                  entry.text && <p className="text-sm text-slate-200 whitespace-pre-wrap">{entry.text}</p>
+                )}
+                {entry.media && entry.media.length > 0 && (
+                  <p className="text-[11px] text-slate-500 mt-1 flex items-center gap-1">
+                    <Image className="w-3 h-3" />
+                    {entry.media.map(item => item.path.split(/[\\/]/).pop()).join(', ')}
+                  </p>
+                )}
+                {entry.error && (
+                  <p className="text-[11px] text-red-400 mt-1 break-words">
+                    {entry.stage === 'generate' ? 'Generation failed: ' : ''}{entry.error}
+                  </p>
+                )}
+                <div className="flex items-center gap-4">
+                  {entry.tweetId && (
+                    <button
+                      onClick={() => openTweet(entry.tweetId)}
+                      className="mt-2 text-[11px] text-cyan-400 hover:text-cyan-300 flex items-center gap-1"
+                    >
+                      <ExternalLink className="w-3 h-3" /> Open on X
+                    </button>
+                  )}
+                  {entry.parts && entry.status === 'failed' && (
+                    <button
+                      onClick={() => resumeThread(entry.id)}
+                      disabled={resumingId === entry.id}
+                      className="mt-2 text-[11px] text-yellow-400 hover:text-yellow-300 flex items-center gap-1 disabled:opacity-50"
+                    >
+                      <RefreshCw className={`w-3 h-3 ${resumingId === entry.id ? 'animate-spin' : ''}`} />
+                      Resume from part {(entry.tweetIds || []).length + 1}/{entry.parts.length}
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
       </main>
 
       {/* Settings Modal */}
@@ -502,66 +2029,650 @@ export default function TweetAutomator() {
               <div className="bg-yellow-900/20 border border-yellow-700/50 p-3 rounded-lg flex gap-3">
                 <AlertTriangle className="w-5 h-5 text-yellow-500 shrink-0" />
                 <p className="text-xs text-yellow-200/80 leading-relaxed">
-                  <strong>Warning:</strong> Automated posting requires a stable internet connection. Keep this tab open.
+                  <strong>Warning:</strong> Automated posting requires a stable internet connection. Autopilot keeps running while the app is in the system tray.
                 </p>
               </div>
 
-              {/* Gemini Section */}
-              <div className="space-y-2">
-                <label className="text-xs uppercase font-bold text-slate-500">Gemini API Key</label>
-                <input 
-                  type="password" 
-                  value={config.geminiKey}
-                  onChange={(e) => setConfig({...config, geminiKey: e.target.value})}
-                  className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm text-white focus:border-cyan-500 outline-none"
-                />
-              </div>
-
-              {/* Twitter Section */}
-              <div className="space-y-3 pt-4 border-t border-slate-800">
-                <div className="flex items-center justify-between">
-                  <label className="text-xs uppercase font-bold text-slate-500">Twitter API Credentials</label>
+              {/* AI Provider Section */}
+              {llmProviders.length > 0 ? (
+                <div className="space-y-3">
+                  <label className="text-xs uppercase font-bold text-slate-500">AI Provider</label>
+                  <select
+                    value={config.llm.provider}
+                    onChange={(e) => {
+                      setConfig({...config, llm: { provider: e.target.value, model: '', baseUrl: '' }});
+                      setVerification(prev => ({ ...prev, llm: null }));
+                    }}
+                    className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm text-white focus:border-cyan-500 outline-none"
+                  >
+                    {llmProviders.map(provider => (
+                      <option key={provider.id} value={provider.id}>{provider.label}</option>
+                    ))}
+                  </select>
+                  {(() => {
+                    const provider = llmProviders.find(p => p.id === config.llm.provider) || llmProviders[0];
+                    return (
+                      <>
+                        <div className="grid grid-cols-2 gap-3">
+                          <div className="space-y-1">
+                            <span className="text-[10px] text-slate-500">Model</span>
+                            <input 
+                              type="text" 
+                              value={config.llm.model}
+                              onChange={(e) => setConfig({...config, llm: {...config.llm, model: e.target.value}})}
+                              placeholder={provider.defaultModel}
+                              className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                            />
+                          </div>
+                          <div className="space-y-1">
+                            <span className="text-[10px] text-slate-500">API Key{provider.requiresKey ? '' : ' (optional)'}</span>
+                            <input 
+                              type="password" 
+                              value={config[provider.keyName] || ''}
+                              onChange={(e) => setConfig({...config, [provider.keyName]: e.target.value})}
+                              className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                            />
+                          </div>
+                        </div>
+                        <div className="space-y-1">
+                          <span className="text-[10px] text-slate-500">
+                            Base URL{provider.id === 'openai' ? ' (e.g. http://localhost:11434/v1 for Ollama)' : ''}
+                          </span>
+                          <input 
+                            type="text" 
+                            value={config.llm.baseUrl}
+                            onChange={(e) => setConfig({...config, llm: {...config.llm, baseUrl: e.target.value}})}
+                            placeholder={provider.defaultBaseUrl}
+                            className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                          />
+                        </div>
+                        {window.electronAPI && (
+                          <div className="space-y-2">
+                            <button
+                              onClick={verifyLlm}
+                              disabled={verification.llm === 'pending'}
+                              className="text-xs text-cyan-400 hover:text-cyan-300 flex items-center gap-1 disabled:opacity-50"
+                            >
+                              <CheckCircle className="w-3 h-3" /> Verify {provider.label} key
+                            </button>
+                            <VerifyResult result={verification.llm} />
+                          </div>
+                        )}
+                        <div className="flex items-center justify-between gap-3">
+                          <span className="text-[10px] text-slate-500">Over 280 characters: ask for a shorter version up to N times, then trim</span>
+                          <input 
+                            type="number" 
+                            min={0}
+                            max={5}
+                            value={config.shortenAttempts}
+                            onChange={(e) => setConfig({...config, shortenAttempts: e.target.value})}
+                            className="w-16 bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                          />
+                        </div>
+                      </>
+                    );
+                  })()}
+                </div>
+              ) : (
+                <div className="space-y-2">
+                  <label className="text-xs uppercase font-bold text-slate-500">Gemini API Key</label>
+                  <input 
+                    type="password" 
+                    value={config.geminiKey}
+                    onChange={(e) => setConfig({...config, geminiKey: e.target.value})}
+                    className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm text-white focus:border-cyan-500 outline-none"
+                  />
                 </div>
-                
-                <div className="grid grid-cols-2 gap-3">
-                   <div className="space-y-1">
-                      <span className="text-[10px] text-slate-500">API Key (Consumer)</span>
+              )}
+
+              {/* Duplicate Check Section */}
+              {window.electronAPI && config.duplicates && (
+                <div className="space-y-3 pt-4 border-t border-slate-800">
+                  <label className="flex items-center gap-2 text-xs uppercase font-bold text-slate-500">
+                    <input
+                      type="checkbox"
+                      checked={config.duplicates.enabled}
+                      onChange={(e) => setConfig({...config, duplicates: {...config.duplicates, enabled: e.target.checked}})}
+                      className="accent-cyan-500"
+                    />
+                    Skip near-duplicates of recent posts
+                  </label>
+                  <div className="grid grid-cols-3 gap-3">
+                    <div className="space-y-1">
+                      <span className="text-[10px] text-slate-500">Similarity threshold</span>
+                      <input 
+                        type="number" 
+                        min={0.1}
+                        max={1}
+                        step={0.05}
+                        value={config.duplicates.threshold}
+                        onChange={(e) => setConfig({...config, duplicates: {...config.duplicates, threshold: e.target.value}})}
+                        disabled={!config.duplicates.enabled}
+                        className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm disabled:opacity-50"
+                      />
+                    </div>
+                    <div className="space-y-1">
+                      <span className="text-[10px] text-slate-500">Compare last N posts</span>
+                      <input 
+                        type="number" 
+                        min={1}
+                        max={500}
+                        value={config.duplicates.lookback}
+                        onChange={(e) => setConfig({...config, duplicates: {...config.duplicates, lookback: e.target.value}})}
+                        disabled={!config.duplicates.enabled}
+                        className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm disabled:opacity-50"
+                      />
+                    </div>
+                    <div className="space-y-1">
+                      <span className="text-[10px] text-slate-500">Regenerations</span>
                       <input 
-                        type="password" 
-                        value={config.twitterConsumerKey}
-                        onChange={(e) => setConfig({...config, twitterConsumerKey: e.target.value})}
-                        className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                        type="number" 
+                        min={0}
+                        max={5}
+                        value={config.duplicates.maxRegenerations}
+                        onChange={(e) => setConfig({...config, duplicates: {...config.duplicates, maxRegenerations: e.target.value}})}
+                        disabled={!config.duplicates.enabled}
+                        className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm disabled:opacity-50"
                       />
-                   </div>
-                   <div className="space-y-1">
-                      <span className="text-[10px] text-slate-500">API Secret</span>
+                    </div>
+                  </div>
+                </div>
+              )}
+
+              {/* Notifications Section */}
+              {window.electronAPI && config.notifications && (
+                <div className="space-y-3 pt-4 border-t border-slate-800">
+                  <label className="flex items-center gap-2 text-xs uppercase font-bold text-slate-500">
+                    <input
+                      type="checkbox"
+                      checked={config.notifications.enabled}
+                      onChange={(e) => setConfig({...config, notifications: {...config.notifications, enabled: e.target.checked}})}
+                      className="accent-cyan-500"
+                    />
+                    Desktop notifications
+                  </label>
+                  <div className="grid grid-cols-3 gap-2">
+                    {Object.entries(NOTIFICATION_LABELS).map(([category, label]) => (
+                      <label key={category} className="flex items-center gap-2 text-xs text-slate-400">
+                        <input
+                          type="checkbox"
+                          checked={!!config.notifications.events[category]}
+                          onChange={(e) => setConfig({...config, notifications: {
+                            ...config.notifications,
+                            events: {...config.notifications.events, [category]: e.target.checked}
+                          }})}
+                          disabled={!config.notifications.enabled}
+                          className="accent-cyan-500"
+                        />
+                        {label}
+                      </label>
+                    ))}
+                  </div>
+                  <div className="flex items-center gap-2 text-xs text-slate-400">
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={config.notifications.quietHours.enabled}
+                        onChange={(e) => setConfig({...config, notifications: {
+                          ...config.notifications,
+                          quietHours: {...config.notifications.quietHours, enabled: e.target.checked}
+                        }})}
+                        disabled={!config.notifications.enabled}
+                        className="accent-cyan-500"
+                      />
+                      Quiet hours
+                    </label>
+                    <input
+                      type="time"
+                      value={config.notifications.quietHours.start}
+                      onChange={(e) => setConfig({...config, notifications: {
+                        ...config.notifications,
+                        quietHours: {...config.notifications.quietHours, start: e.target.value}
+                      }})}
+                      disabled={!config.notifications.enabled || !config.notifications.quietHours.enabled}
+                      className="bg-slate-950 border border-slate-800 rounded p-1 text-xs disabled:opacity-50"
+                    />
+                    <span>to</span>
+                    <input
+                      type="time"
+                      value={config.notifications.quietHours.end}
+                      onChange={(e) => setConfig({...config, notifications: {
+                        ...config.notifications,
+                        quietHours: {...config.notifications.quietHours, end: e.target.value}
+                      }})}
+                      disabled={!config.notifications.enabled || !config.notifications.quietHours.enabled}
+                      className="bg-slate-950 border border-slate-800 rounded p-1 text-xs disabled:opacity-50"
+                    />
+                  </div>
+                  <p className="text-[10px] text-slate-500">Shown while the window is hidden or in the background. Clicking a "Posted" notification opens the tweet.</p>
+                </div>
+              )}
+
+              {/* Webhooks Section */}
+              {window.electronAPI && (
+                <div className="space-y-3 pt-4 border-t border-slate-800">
+                  <div className="flex items-center justify-between">
+                    <label className="text-xs uppercase font-bold text-slate-500">Webhooks</label>
+                    <button onClick={addWebhook} className="text-xs text-cyan-400 hover:text-cyan-300 flex items-center gap-1">
+                      <Plus className="w-3 h-3" /> Add webhook
+                    </button>
+                  </div>
+                  {webhooks.map((hook, idx) => (
+                    <div key={hook.id || `new-${idx}`} className="bg-slate-950 border border-slate-800 rounded p-3 space-y-2">
+                      <div className="flex gap-2">
+                        <input
+                          type="checkbox"
+                          checked={hook.enabled}
+                          onChange={(e) => updateWebhook(idx, { enabled: e.target.checked })}
+                          title="Enabled"
+                          className="accent-cyan-500"
+                        />
+                        <input
+                          type="text"
+                          value={hook.name}
+                          onChange={(e) => updateWebhook(idx, { name: e.target.value })}
+                          placeholder="Name"
+                          className="w-28 bg-slate-900 border border-slate-800 rounded p-1.5 text-xs"
+                        />
+                        <input
+                          type="text"
+                          value={hook.url}
+                          onChange={(e) => updateWebhook(idx, { url: e.target.value })}
+                          placeholder="https://hooks.slack.com/services/..."
+                          className="flex-1 min-w-0 bg-slate-900 border border-slate-800 rounded p-1.5 text-xs"
+                        />
+                        <select
+                          value={hook.format}
+                          onChange={(e) => updateWebhook(idx, { format: e.target.value })}
+                          className="bg-slate-900 border border-slate-800 rounded p-1.5 text-xs"
+                        >
+                          <option value="json">JSON</option>
+                          <option value="slack">Slack</option>
+                          <option value="discord">Discord</option>
+                        </select>
+                        <button
+                          onClick={() => setWebhooks(prev => prev.filter((_, i) => i !== idx))}
+                          className="text-slate-600 hover:text-red-400"
+                          title="Remove webhook"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                      <div className="flex flex-wrap gap-x-3 gap-y-1">
+                        {Object.entries(WEBHOOK_EVENT_LABELS).map(([event, label]) => (
+                          <label key={event} className="flex items-center gap-1 text-[11px] text-slate-400">
+                            <input
+                              type="checkbox"
+                              checked={hook.events.includes(event)}
+                              onChange={(e) => updateWebhook(idx, {
+                                events: e.target.checked ? [...hook.events, event] : hook.events.filter(name => name !== event)
+                              })}
+                              className="accent-cyan-500"
+                            />
+                            {label}
+                          </label>
+                        ))}
+                      </div>
+                      <div className="flex gap-2 items-center">
+                        <input
+                          type="password"
+                          value={hook.secret ?? ''}
+                          onChange={(e) => updateWebhook(idx, { secret: e.target.value })}
+                          placeholder={hook.hasSecret ? 'Signing secret saved (type to replace)' : 'Signing secret (optional)'}
+                          className="flex-1 bg-slate-900 border border-slate-800 rounded p-1.5 text-xs"
+                        />
+                        <button
+                          onClick={() => testWebhook(hook)}
+                          disabled={!hook.id}
+                          title={hook.id ? 'Send a test event' : 'Save first'}
+                          className="text-xs text-cyan-400 hover:text-cyan-300 disabled:opacity-40"
+                        >
+                          Test
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                  {webhookDeliveries.length > 0 && (
+                    <div className="space-y-1">
+                      <div className="flex items-center justify-between">
+                        <span className="text-[10px] text-slate-500">Recent deliveries</span>
+                        <button onClick={clearWebhookDeliveries} className="text-[10px] text-slate-500 hover:text-red-400">Clear</button>
+                      </div>
+                      <div className="max-h-32 overflow-y-auto space-y-0.5 font-mono text-[10px]">
+                        {webhookDeliveries.map(delivery => (
+                          <p key={delivery.id} className={delivery.status === 'delivered' ? 'text-slate-400' : 'text-red-400'}>
+                            {new Date(delivery.timestamp).toLocaleTimeString()} {delivery.webhookName} · {delivery.event} · {delivery.status}
+                            {delivery.statusCode ? ` (${delivery.statusCode})` : ''}{delivery.attempts > 1 ? ` after ${delivery.attempts} attempts` : ''}
+                            {delivery.error ? ` · ${delivery.error}` : ''}
+                          </p>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Dry Run & Endpoints Section */}
+              {window.electronAPI && config.apiEndpoints && (
+                <div className="space-y-3 pt-4 border-t border-slate-800">
+                  <label className="flex items-center gap-2 text-xs uppercase font-bold text-slate-500">
+                    <input
+                      type="checkbox"
+                      checked={!!config.dryRun}
+                      onChange={(e) => setConfig({...config, dryRun: e.target.checked})}
+                      className="accent-cyan-500"
+                    />
+                    Dry run (simulate posts)
+                  </label>
+                  <p className="text-[10px] text-slate-500">
+                    Generation, checks and scheduling run as usual, but nothing is sent to X. History marks these posts as simulated.
+                  </p>
+                  <div className="grid grid-cols-2 gap-3">
+                    <div className="space-y-1">
+                      <span className="text-[10px] text-slate-500">X API base URL</span>
                       <input 
-                        type="password" 
-                        value={config.twitterConsumerSecret}
-                        onChange={(e) => setConfig({...config, twitterConsumerSecret: e.target.value})}
-                        className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                        type="text" 
+                        placeholder="https://api.twitter.com"
+                        value={config.apiEndpoints.twitterApi}
+                        onChange={(e) => setConfig({...config, apiEndpoints: {...config.apiEndpoints, twitterApi: e.target.value}})}
+                        className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm text-white focus:border-cyan-500 outline-none"
                       />
-                   </div>
-                   <div className="space-y-1">
-                      <span className="text-[10px] text-slate-500">Access Token</span>
+                    </div>
+                    <div className="space-y-1">
+                      <span className="text-[10px] text-slate-500">X upload base URL</span>
                       <input 
-                        type="password" 
-                        value={config.twitterAccessToken}
-                        onChange={(e) => setConfig({...config, twitterAccessToken: e.target.value})}
-                        className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                        type="text" 
+                        placeholder="https://upload.twitter.com"
+                        value={config.apiEndpoints.twitterUpload}
+                        onChange={(e) => setConfig({...config, apiEndpoints: {...config.apiEndpoints, twitterUpload: e.target.value}})}
+                        className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm text-white focus:border-cyan-500 outline-none"
                       />
-                   </div>
-                   <div className="space-y-1">
-                      <span className="text-[10px] text-slate-500">Token Secret</span>
+                    </div>
+                  </div>
+                </div>
+              )}
+
+              {/* Control API Section */}
+              {window.electronAPI && config.controlApi && (
+                <div className="space-y-3 pt-4 border-t border-slate-800">
+                  <label className="flex items-center gap-2 text-xs uppercase font-bold text-slate-500">
+                    <input
+                      type="checkbox"
+                      checked={config.controlApi.enabled}
+                      onChange={(e) => setConfig({...config, controlApi: {...config.controlApi, enabled: e.target.checked}})}
+                      className="accent-cyan-500"
+                    />
+                    Local control API
+                  </label>
+                  <div className="grid grid-cols-3 gap-3">
+                    <div className="space-y-1">
+                      <span className="text-[10px] text-slate-500">Port</span>
                       <input 
-                        type="password" 
-                        value={config.twitterTokenSecret}
-                        onChange={(e) => setConfig({...config, twitterTokenSecret: e.target.value})}
-                        className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                        type="number" 
+                        min={1024}
+                        max={65535}
+                        value={config.controlApi.port}
+                        onChange={(e) => setConfig({...config, controlApi: {...config.controlApi, port: e.target.value}})}
+                        disabled={!config.controlApi.enabled}
+                        className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm disabled:opacity-50"
                       />
-                   </div>
+                    </div>
+                    <div className="space-y-1 col-span-2">
+                      <span className="text-[10px] text-slate-500">Token</span>
+                      <div className="flex gap-2">
+                        <input 
+                          type="text" 
+                          readOnly
+                          value={config.controlApi.token}
+                          onFocus={(e) => e.target.select()}
+                          className="flex-1 min-w-0 bg-slate-950 border border-slate-800 rounded p-2 text-xs font-mono text-slate-300"
+                        />
+                        <button
+                          onClick={regenerateControlApiToken}
+                          title="Regenerate token"
+                          className="px-2 rounded border border-slate-700 text-slate-400 hover:text-white"
+                        >
+                          <RefreshCw className="w-3 h-3" />
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                  <p className="text-[10px] text-slate-500">
+                    Listens on http://127.0.0.1:{config.controlApi.port} only. Send the token as "Authorization: Bearer &lt;token&gt;".
+                  </p>
                 </div>
-              </div>
+              )}
+
+              {/* Accounts Section */}
+              {window.electronAPI && (
+                <div className="space-y-3 pt-4 border-t border-slate-800">
+                  <div className="flex items-center justify-between">
+                    <label className="text-xs uppercase font-bold text-slate-500">X Accounts</label>
+                    <button onClick={addAccount} className="text-xs text-cyan-400 hover:text-cyan-300 flex items-center gap-1">
+                      <Plus className="w-3 h-3" /> Add account
+                    </button>
+                  </div>
+
+                  <div className="flex gap-2">
+                    <select
+                      value={selectedAccountId || ''}
+                      onChange={(e) => selectAccountInSettings(e.target.value)}
+                      className="flex-1 bg-slate-950 border border-slate-800 rounded p-2 text-sm text-white focus:border-cyan-500 outline-none"
+                    >
+                      {accounts.map(account => (
+                        <option key={account.id} value={account.id}>
+                          {account.name}{account.hasCredentials ? '' : ' (no credentials)'}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={deleteAccount}
+                      disabled={accounts.length <= 1}
+                      className="px-3 text-slate-500 hover:text-red-400 disabled:opacity-30"
+                      title="Delete account"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+
+                  {accountForm && (
+                    <>
+                      <div className="space-y-1">
+                        <span className="text-[10px] text-slate-500">Account Name</span>
+                        <input 
+                          type="text" 
+                          value={accountForm.name}
+                          onChange={(e) => setAccountForm({...accountForm, name: e.target.value})}
+                          className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                        />
+                      </div>
+                      <div className="space-y-1">
+                        <span className="text-[10px] text-slate-500">Persona (voice and style used when generating for this account)</span>
+                        <textarea 
+                          value={accountForm.persona}
+                          onChange={(e) => setAccountForm({...accountForm, persona: e.target.value})}
+                          placeholder="a professional Software Engineer specializing in Artificial Intelligence"
+                          rows={2}
+                          className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm resize-none"
+                        />
+                      </div>
+
+                      <div className="grid grid-cols-2 gap-3">
+                        <div className="space-y-1">
+                          <span className="text-[10px] text-slate-500">Max posts per hour (0 = no cap)</span>
+                          <input 
+                            type="number" 
+                            min={0}
+                            value={accountForm.hourlyCap}
+                            onChange={(e) => setAccountForm({...accountForm, hourlyCap: e.target.value})}
+                            className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                          />
+                        </div>
+                        <div className="space-y-1">
+                          <span className="text-[10px] text-slate-500">Max posts per 24h (0 = no cap)</span>
+                          <input 
+                            type="number" 
+                            min={0}
+                            value={accountForm.dailyCap}
+                            onChange={(e) => setAccountForm({...accountForm, dailyCap: e.target.value})}
+                            className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                          />
+                        </div>
+                      </div>
+
+                      <div className="space-y-1">
+                        <span className="text-[10px] text-slate-500">Sign-in method</span>
+                        <select
+                          value={accountForm.authMethod || 'oauth1'}
+                          onChange={(e) => setAccountForm({...accountForm, authMethod: e.target.value})}
+                          className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm text-white focus:border-cyan-500 outline-none"
+                        >
+                          <option value="oauth1">OAuth 1.0a (user keys)</option>
+                          <option value="oauth2">OAuth 2.0 (sign in with X)</option>
+                        </select>
+                      </div>
+
+                      {accountForm.authMethod === 'oauth2' && (
+                        <div className="space-y-3">
+                          <div className="grid grid-cols-2 gap-3">
+                            <div className="space-y-1">
+                              <span className="text-[10px] text-slate-500">OAuth 2.0 Client ID</span>
+                              <input 
+                                type="text" 
+                                value={accountForm.twitterClientId || ''}
+                                placeholder={savedPlaceholder('twitterClientId')}
+                                onChange={(e) => setAccountForm({...accountForm, twitterClientId: e.target.value})}
+                                className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                              />
+                            </div>
+                            <div className="space-y-1">
+                              <span className="text-[10px] text-slate-500">Client Secret (confidential apps only)</span>
+                              <input 
+                                type="password" 
+                                value={accountForm.twitterClientSecret || ''}
+                                placeholder={savedPlaceholder('twitterClientSecret')}
+                                onChange={(e) => setAccountForm({...accountForm, twitterClientSecret: e.target.value})}
+                                className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                              />
+                            </div>
+                          </div>
+                          <div className="flex items-center justify-between gap-2">
+                            <span className="text-[10px] text-slate-500">
+                              Register http://127.0.0.1:3918/callback as a callback URL in your X app.
+                              {accounts.find(a => a.id === accountForm.id)?.hasCredentials && accounts.find(a => a.id === accountForm.id)?.authMethod === 'oauth2'
+                                ? ` Connected as @${accounts.find(a => a.id === accountForm.id).screenName}.`
+                                : ''}
+                            </span>
+                            <button
+                              onClick={connectOAuth2}
+                              disabled={!hasCredential('twitterClientId') || isConnectingOAuth2}
+                              className="text-xs text-cyan-400 hover:text-cyan-300 flex items-center gap-1 disabled:opacity-40 shrink-0"
+                            >
+                              {isConnectingOAuth2 ? <Loader2 className="w-3 h-3 animate-spin" /> : <ExternalLink className="w-3 h-3" />}
+                              Connect with X
+                            </button>
+                          </div>
+                          <p className="text-[10px] text-slate-500">Media attachments still upload with the OAuth 1.0a keys below.</p>
+                        </div>
+                      )}
+
+                      <div className="grid grid-cols-2 gap-3">
+                       <div className="space-y-1">
+                          <span className="text-[10px] text-slate-500">API Key (Consumer)</span>
+                          <input 
+                            type="password" 
+                            value={accountForm.twitterConsumerKey || ''}
+                            placeholder={savedPlaceholder('twitterConsumerKey')}
+                            onChange={(e) => setAccountForm({...accountForm, twitterConsumerKey: e.target.value})}
+                            className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                          />
+                       </div>
+                       <div className="space-y-1">
+                          <span className="text-[10px] text-slate-500">API Secret</span>
+                          <input 
+                            type="password" 
+                            value={accountForm.twitterConsumerSecret || ''}
+                            placeholder={savedPlaceholder('twitterConsumerSecret')}
+                            onChange={(e) => setAccountForm({...accountForm, twitterConsumerSecret: e.target.value})}
+                            className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                          />
+                       </div>
+                       <div className="space-y-1">
+                          <span className="text-[10px] text-slate-500">Access Token</span>
+                          <input 
+                            type="password" 
+                            value={accountForm.twitterAccessToken || ''}
+                            placeholder={savedPlaceholder('twitterAccessToken')}
+                            onChange={(e) => setAccountForm({...accountForm, twitterAccessToken: e.target.value})}
+                            className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                          />
+                       </div>
+                       <div className="space-y-1">
+                          <span className="text-[10px] text-slate-500">Token Secret</span>
+                          <input 
+                            type="password" 
+                            value={accountForm.twitterTokenSecret || ''}
+                            placeholder={savedPlaceholder('twitterTokenSecret')}
+                            onChange={(e) => setAccountForm({...accountForm, twitterTokenSecret: e.target.value})}
+                            className="w-full bg-slate-950 border border-slate-800 rounded p-2 text-sm"
+                          />
+                       </div>
+                      </div>
+
+                      {signIn && signIn.accountId === accountForm.id ? (
+                        <div className="flex gap-2">
+                          <input 
+                            type="text" 
+                            inputMode="numeric"
+                            autoFocus
+                            value={signIn.pin}
+                            onChange={(e) => setSignIn({...signIn, pin: e.target.value})}
+                            onKeyDown={(e) => e.key === 'Enter' && completeSignIn()}
+                            placeholder="PIN from X"
+                            className="flex-1 bg-slate-950 border border-slate-800 rounded p-2 text-sm font-mono"
+                          />
+                          <button
+                            onClick={completeSignIn}
+                            disabled={!signIn.pin.trim()}
+                            className="px-3 rounded bg-cyan-600 hover:bg-cyan-500 text-white text-xs disabled:opacity-50"
+                          >
+                            Finish
+                          </button>
+                          <button onClick={() => setSignIn(null)} className="px-2 text-xs text-slate-500 hover:text-slate-300">
+                            Cancel
+                          </button>
+                        </div>
+                      ) : (
+                        <div className="flex items-center justify-between gap-2">
+                          <span className="text-[10px] text-slate-500">
+                            {accounts.find(a => a.id === accountForm.id)?.screenName
+                              ? `Connected as @${accounts.find(a => a.id === accountForm.id).screenName}`
+                              : 'Enter the API Key and Secret, then connect to fill in the access token.'}
+                          </span>
+                          <button
+                            onClick={startSignIn}
+                            disabled={!hasCredential('twitterConsumerKey') || !hasCredential('twitterConsumerSecret')}
+                            className="text-xs text-cyan-400 hover:text-cyan-300 flex items-center gap-1 disabled:opacity-40 shrink-0"
+                          >
+                            <ExternalLink className="w-3 h-3" /> Connect with X
+                          </button>
+                        </div>
+                      )}
+
+                      <div className="space-y-2">
+                        <button
+                          onClick={verifyAccount}
+                          disabled={verification.account === 'pending'}
+                          className="text-xs text-cyan-400 hover:text-cyan-300 flex items-center gap-1 disabled:opacity-50"
+                        >
+                          <CheckCircle className="w-3 h-3" /> Verify X credentials
+                        </button>
+                        <VerifyResult result={verification.account} />
+                      </div>
+                    </>
+                  )}
+                </div>
+              )}
 
               </div>
 
@@ -0,0 +1,96 @@
+const { RateLimits, HOUR_MS, DAY_MS } = require('../public/automation');
+
+const NOW = Date.parse('2024-01-01T12:00:00Z');
+const MINUTE = 60 * 1000;
+const ago = (minutes) => NOW - minutes * MINUTE;
+
+// fetch's Headers, as far as parseHeaders uses it
+const headers = (values) => ({ get: (name) => values[name] ?? null });
+
+describe('RateLimits.parseHeaders', () => {
+  test('reads counts and turns reset times into ms', () => {
+    const parsed = RateLimits.parseHeaders(headers({
+      'x-rate-limit-limit': '100',
+      'x-rate-limit-remaining': '0',
+      'x-rate-limit-reset': '1704110400',
+      'x-user-limit-24hour-limit': '17',
+      'x-user-limit-24hour-remaining': '5',
+      'x-user-limit-24hour-reset': '1704196800'
+    }));
+    expect(parsed).toEqual({
+      limit: 100,
+      remaining: 0,
+      reset: 1704110400000,
+      userLimit24h: 17,
+      userRemaining24h: 5,
+      userReset24h: 1704196800000
+    });
+  });
+
+  test('missing, empty or non-numeric headers are null', () => {
+    const parsed = RateLimits.parseHeaders(headers({ 'x-rate-limit-remaining': '', 'x-rate-limit-reset': 'soon' }));
+    expect(Object.values(parsed).every(value => value === null)).toBe(true);
+  });
+});
+
+describe('RateLimits.merge', () => {
+  test('absent headers keep their last value', () => {
+    const first = RateLimits.merge({}, { limit: 100, remaining: 10, reset: NOW + HOUR_MS }, ago(1));
+    expect(RateLimits.merge(first, { limit: null, remaining: 9, reset: null }, NOW))
+      .toEqual({ limit: 100, remaining: 9, reset: NOW + HOUR_MS, updatedAt: NOW });
+  });
+
+  test('is null when the response had no rate-limit headers', () => {
+    expect(RateLimits.merge({ remaining: 3 }, { limit: null, remaining: null }, NOW)).toBeNull();
+  });
+});
+
+describe('RateLimits.check against X limits', () => {
+  const check = (limits, tweets) => RateLimits.check({ limits, tweets, now: NOW });
+
+  test('nothing known means nothing blocks', () => {
+    expect(RateLimits.check({ now: NOW })).toBeNull();
+  });
+
+  test('an exhausted window blocks until it resets', () => {
+    expect(check({ remaining: 0, reset: NOW + 10 * MINUTE })).toEqual({ reason: 'X rate limit reached', until: NOW + 10 * MINUTE });
+    expect(check({ remaining: 0, reset: ago(1) })).toBeNull();
+  });
+
+  test('every part of a thread needs quota', () => {
+    const limits = { remaining: 2, reset: NOW + MINUTE, userRemaining24h: 10, userReset24h: NOW + HOUR_MS };
+    expect(check(limits, 2)).toBeNull();
+    expect(check(limits, 3)).toMatchObject({ reason: 'X rate limit reached' });
+  });
+
+  test('the 24-hour user limit is reported first', () => {
+    const limits = { remaining: 0, reset: NOW + MINUTE, userRemaining24h: 0, userReset24h: NOW + 5 * HOUR_MS };
+    expect(check(limits)).toEqual({ reason: 'X 24-hour post limit reached', until: NOW + 5 * HOUR_MS });
+  });
+});
+
+describe('RateLimits.check against the account caps', () => {
+  test('the hourly cap waits for enough posts to leave the window', () => {
+    const block = RateLimits.check({ hourlyCap: 2, posted: [ago(10), ago(90), ago(40)], now: NOW });
+    expect(block).toEqual({ reason: 'Hourly cap of 2 post(s) reached', until: ago(40) + HOUR_MS });
+  });
+
+  test('the daily cap counts each posted tweet', () => {
+    const thread = [ago(60), ago(60), ago(60)];
+    expect(RateLimits.check({ dailyCap: 4, posted: thread, now: NOW })).toBeNull();
+    expect(RateLimits.check({ dailyCap: 4, posted: thread, tweets: 2, now: NOW }))
+      .toEqual({ reason: 'Daily cap of 4 post(s) reached', until: ago(60) + DAY_MS });
+  });
+
+  test('a thread longer than a cap fails at once instead of waiting', () => {
+    expect(RateLimits.check({ hourlyCap: 3, dailyCap: 10, tweets: 5, now: NOW }))
+      .toEqual({ reason: 'Thread of 5 parts exceeds the hourly cap of 3', until: null });
+    expect(RateLimits.check({ dailyCap: 4, tweets: 5, limits: { remaining: 0, reset: NOW + HOUR_MS }, now: NOW }))
+      .toEqual({ reason: 'Thread of 5 parts exceeds the daily cap of 4', until: null });
+  });
+
+  test('a cap of 0 is no cap', () => {
+    const posted = Array.from({ length: 50 }, (_, i) => ago(i));
+    expect(RateLimits.check({ hourlyCap: 0, dailyCap: 0, posted, now: NOW })).toBeNull();
+  });
+});
@@ -0,0 +1,100 @@
+const { Schedules } = require('../public/automation');
+
+const at = (iso) => Date.parse(iso);
+const schedule = (fields) => Schedules.normalize({ timezone: 'UTC', ...fields });
+
+describe('Schedules.normalize', () => {
+  test('fills in defaults', () => {
+    expect(Schedules.normalize({})).toMatchObject({ mode: 'interval', intervalMinutes: 40, jitterMinutes: 0, timezone: '' });
+  });
+
+  test('rejects invalid input with a readable message', () => {
+    expect(() => Schedules.normalize({ mode: 'weekly' })).toThrow('Unknown schedule mode "weekly"');
+    expect(() => Schedules.normalize({ intervalMinutes: 0 })).toThrow('Interval must be');
+    expect(() => Schedules.normalize({ windowStart: '25:00' })).toThrow('Window start must be HH:MM');
+    expect(() => Schedules.normalize({ timezone: 'Mars/Olympus' })).toThrow('Unknown timezone');
+    expect(() => Schedules.normalize({ mode: 'cron', cron: '0 9 * *' })).toThrow('5 fields');
+  });
+});
+
+describe('Schedules.nextSlot', () => {
+  test('interval adds the interval to the start time', () => {
+    expect(Schedules.nextSlot(schedule({ intervalMinutes: 30 }), at('2024-01-01T10:00:00Z'))).toBe(at('2024-01-01T10:30:00Z'));
+  });
+
+  test('daily slots are spread evenly over the window', () => {
+    const daily = schedule({ mode: 'daily', timesPerDay: 3, windowStart: '09:00', windowEnd: '21:00' });
+    expect(Schedules.nextSlot(daily, at('2024-01-01T08:00:00Z'))).toBe(at('2024-01-01T09:00:00Z'));
+    expect(Schedules.nextSlot(daily, at('2024-01-01T09:00:00Z'))).toBe(at('2024-01-01T15:00:00Z'));
+    expect(Schedules.nextSlot(daily, at('2024-01-01T21:30:00Z'))).toBe(at('2024-01-02T09:00:00Z'));
+  });
+
+  test('a daily window may cross midnight', () => {
+    const night = schedule({ mode: 'daily', timesPerDay: 2, windowStart: '22:00', windowEnd: '02:00' });
+    expect(Schedules.nextSlot(night, at('2024-01-02T01:00:00Z'))).toBe(at('2024-01-02T02:00:00Z'));
+    expect(Schedules.nextSlot(night, at('2024-01-02T03:00:00Z'))).toBe(at('2024-01-02T22:00:00Z'));
+  });
+
+  test('daily slots follow the timezone across DST', () => {
+    const morning = schedule({ mode: 'daily', timesPerDay: 1, windowStart: '09:00', timezone: 'America/New_York' });
+    expect(Schedules.nextSlot(morning, at('2024-01-15T00:00:00Z'))).toBe(at('2024-01-15T14:00:00Z'));
+    expect(Schedules.nextSlot(morning, at('2024-07-15T00:00:00Z'))).toBe(at('2024-07-15T13:00:00Z'));
+  });
+
+  test('cron skips to the next matching weekday and hour', () => {
+    const workHours = schedule({ mode: 'cron', cron: '0 9-17 * * 1-5' });
+    // Saturday -> Monday 09:00
+    expect(Schedules.nextSlot(workHours, at('2024-01-06T12:00:00Z'))).toBe(at('2024-01-08T09:00:00Z'));
+    expect(Schedules.nextSlot(workHours, at('2024-01-08T09:00:00Z'))).toBe(at('2024-01-08T10:00:00Z'));
+  });
+
+  test('cron supports steps, and 7 as Sunday', () => {
+    expect(Schedules.nextSlot(schedule({ mode: 'cron', cron: '*/15 * * * *' }), at('2024-01-01T10:07:00Z'))).toBe(at('2024-01-01T10:15:00Z'));
+    // 2024-01-07 is a Sunday
+    expect(Schedules.nextSlot(schedule({ mode: 'cron', cron: '30 8 * * 7' }), at('2024-01-01T00:00:00Z'))).toBe(at('2024-01-07T08:30:00Z'));
+  });
+
+  test('cron matches either day field when both are restricted', () => {
+    // The 13th, or any Friday: Friday the 5th comes first
+    const slot = Schedules.nextSlot(schedule({ mode: 'cron', cron: '0 12 13 * 5' }), at('2024-01-01T00:00:00Z'));
+    expect(slot).toBe(at('2024-01-05T12:00:00Z'));
+  });
+
+  test('cron evaluates in the timezone', () => {
+    const tokyo = schedule({ mode: 'cron', cron: '0 9 * * *', timezone: 'Asia/Tokyo' });
+    expect(Schedules.nextSlot(tokyo, at('2024-01-01T00:00:00Z'))).toBe(at('2024-01-02T00:00:00Z'));
+  });
+
+  test('an impossible cron date never fires', () => {
+    expect(() => Schedules.nextSlot(schedule({ mode: 'cron', cron: '0 0 31 2 *' }), at('2024-01-01T00:00:00Z'))).toThrow('Schedule never fires');
+  });
+});
+
+describe('Schedules.parseCronField', () => {
+  test('expands lists, ranges and steps', () => {
+    expect(Schedules.parseCronField('1,5-7,50/5', 'minute', 0, 59)).toEqual([1, 5, 6, 7, 50, 55]);
+  });
+
+  test('rejects out-of-range values', () => {
+    expect(() => Schedules.parseCronField('60', 'minute', 0, 59)).toThrow('Invalid minute "60" (allowed 0-59)');
+    expect(() => Schedules.parseCronField('*/0', 'hour', 0, 23)).toThrow('Invalid hour');
+  });
+});
+
+describe('Schedules.applyJitter', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('leaves the slot alone without jitter', () => {
+    expect(Schedules.applyJitter(1000, 0)).toBe(1000);
+  });
+
+  test('moves the slot by at most the jitter either way', () => {
+    const slot = at('2024-01-01T10:00:00Z');
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect(Schedules.applyJitter(slot, 10)).toBe(slot - 10 * 60 * 1000);
+    Math.random.mockReturnValue(0.5);
+    expect(Schedules.applyJitter(slot, 10)).toBe(slot);
+    Math.random.mockReturnValue(0.999999);
+    expect(Schedules.applyJitter(slot, 10)).toBeLessThanOrEqual(slot + 10 * 60 * 1000);
+  });
+});
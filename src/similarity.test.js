@@ -0,0 +1,58 @@
+const { Similarity } = require('../public/automation');
+
+const score = (a, b) => Similarity.jaccard(Similarity.shingles(a), Similarity.shingles(b));
+
+describe('Similarity.normalize', () => {
+  test('drops case, links and punctuation', () => {
+    expect(Similarity.normalize('Big NEWS!!! Read https://example.com/post — now.')).toBe('big news read now');
+  });
+});
+
+describe('Similarity.shingles', () => {
+  test('are overlapping 5-character slices', () => {
+    expect([...Similarity.shingles('abcdefg')]).toEqual(['abcde', 'bcdef', 'cdefg']);
+  });
+
+  test('short text is a single shingle, empty text none', () => {
+    expect([...Similarity.shingles('Hi!')]).toEqual(['hi']);
+    expect(Similarity.shingles('...').size).toBe(0);
+  });
+});
+
+describe('Similarity.jaccard', () => {
+  test('is 1 for the same text, near 0 for unrelated text and 0 for empty text', () => {
+    expect(score('AI agents are changing code review', 'ai agents are changing CODE review!')).toBe(1);
+    expect(score('AI agents are changing code review', 'Sourdough needs a long, cold proof')).toBeLessThan(0.05);
+    expect(score('', 'anything')).toBe(0);
+  });
+
+  test('is shared shingles over all distinct shingles', () => {
+    // abcdef -> abcde, bcdef; abcdeg -> abcde, bcdeg: 1 shared of 3
+    expect(score('abcdef', 'abcdeg')).toBeCloseTo(1 / 3);
+  });
+});
+
+describe('Similarity.findSimilar', () => {
+  const recent = [
+    'Large language models make code review faster, but they still miss subtle concurrency bugs.',
+    'Sourdough needs a long, cold proof for the best flavour.'
+  ];
+
+  test('returns the closest recent text at or above the threshold', () => {
+    const reworded = 'Large language models make code review faster, though they still miss subtle concurrency bugs!';
+    const match = Similarity.findSimilar(reworded, recent, 0.5);
+    expect(match.text).toBe(recent[0]);
+    expect(match.score).toBeGreaterThanOrEqual(0.5);
+  });
+
+  test('returns null below the threshold or with nothing to compare', () => {
+    expect(Similarity.findSimilar('Rust makes systems programming safer.', recent, 0.5)).toBeNull();
+    expect(Similarity.findSimilar('Anything at all', [], 0)).toBeNull();
+  });
+
+  test('the threshold is inclusive', () => {
+    const exact = score('abcdef', 'abcdeg');
+    expect(Similarity.findSimilar('abcdef', ['abcdeg'], exact)).toEqual({ text: 'abcdeg', score: exact });
+    expect(Similarity.findSimilar('abcdef', ['abcdeg'], exact + 0.01)).toBeNull();
+  });
+});
@@ -0,0 +1,63 @@
+const { Threads } = require('../public/automation');
+
+const sentence = (n) => `Sentence number ${n} talks about something worth reading in a thread.`;
+const longText = Array.from({ length: 12 }, (_, i) => sentence(i + 1)).join(' ');
+
+describe('Threads.split', () => {
+  test('keeps text that fits as a single part', () => {
+    expect(Threads.split('  Short and sweet.  ')).toEqual(['Short and sweet.']);
+    expect(Threads.split('   ')).toEqual([]);
+  });
+
+  test('packs whole sentences into parts that fit', () => {
+    const parts = Threads.split(longText);
+    expect(parts.length).toBeGreaterThan(1);
+    parts.forEach(part => {
+      expect(part.length).toBeLessThanOrEqual(280);
+      expect(part).toMatch(/\.$/);
+    });
+    expect(parts.join(' ')).toBe(longText);
+  });
+
+  test('leaves room for "n/n" numbering', () => {
+    const parts = Threads.split(longText, { numbering: true });
+    Threads.finalize(parts, { numbering: true }).forEach((part, index) => {
+      expect(part.endsWith(` ${index + 1}/${parts.length}`)).toBe(true);
+      expect(part.length).toBeLessThanOrEqual(280);
+    });
+  });
+
+  test('cuts a sentence with no breaks on words, then inside words', () => {
+    const parts = Threads.split('a'.repeat(600));
+    expect(parts).toEqual(['a'.repeat(280), 'a'.repeat(280), 'a'.repeat(40)]);
+  });
+
+  test('keeps blank-line breaks as part boundaries in paragraph mode', () => {
+    expect(Threads.split('First part.\n\nSecond part.', { paragraphs: true })).toEqual(['First part.', 'Second part.']);
+    expect(Threads.split('First part.\n\nSecond part.')).toEqual(['First part.\n\nSecond part.']);
+  });
+});
+
+describe('Threads.finalize', () => {
+  test('numbers parts only when asked and there is more than one', () => {
+    expect(Threads.finalize(['a', 'b'], { numbering: true })).toEqual(['a 1/2', 'b 2/2']);
+    expect(Threads.finalize(['a', 'b'])).toEqual(['a', 'b']);
+    expect(Threads.finalize(['a'], { numbering: true })).toEqual(['a']);
+  });
+});
+
+describe('Threads.parseGenerated', () => {
+  test('reads a JSON array, with or without a code fence', () => {
+    expect(Threads.parseGenerated('```json\n["One.", "Two."]\n```')).toEqual(['One.', 'Two.']);
+  });
+
+  test('falls back to blank-line separated text', () => {
+    expect(Threads.parseGenerated('One.\n\nTwo.\n\n')).toEqual(['One.', 'Two.']);
+  });
+
+  test('re-splits generated parts that are too long', () => {
+    const parts = Threads.parseGenerated(JSON.stringify([longText]));
+    expect(parts.length).toBeGreaterThan(1);
+    parts.forEach(part => expect(part.length).toBeLessThanOrEqual(280));
+  });
+});
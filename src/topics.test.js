@@ -0,0 +1,65 @@
+const { Topics } = require('../public/automation');
+
+describe('Topics.parseCsv', () => {
+  test('reads quoted cells with commas, doubled quotes and newlines', () => {
+    const csv = 'label,group,tags,notes,enabled\n'
+      + '"AI, agents and tools",Tech,ai;agents,"Say ""hello""\nthen explain",true\r\n'
+      + 'Rust,Tech,,,no\n';
+    expect(Topics.parseCsv(csv)).toEqual([
+      { label: 'AI, agents and tools', group: 'Tech', tags: 'ai;agents', notes: 'Say "hello"\nthen explain', enabled: 'true' },
+      { label: 'Rust', group: 'Tech', tags: '', notes: '', enabled: 'no' }
+    ]);
+  });
+
+  test('follows the header order and fills missing cells', () => {
+    expect(Topics.parseCsv('Notes,Label\nshort,Cooking')).toEqual([{ notes: 'short', label: 'Cooking' }]);
+    expect(Topics.parseCsv('label,group\nTravel')).toEqual([{ label: 'Travel', group: '' }]);
+  });
+
+  test('without a header the first column is the label', () => {
+    expect(Topics.parseCsv('Gardening,Home\n\n   \n"Coffee, brewed",Food\n')).toEqual([
+      { label: 'Gardening', group: 'Home', tags: '', notes: '', enabled: '' },
+      { label: 'Coffee, brewed', group: 'Food', tags: '', notes: '', enabled: '' }
+    ]);
+  });
+
+  test('empty input has no topics', () => {
+    expect(Topics.parseCsv('')).toEqual([]);
+    expect(Topics.parseCsv('\n\n')).toEqual([]);
+  });
+});
+
+describe('Topics.parseImport', () => {
+  test('normalizes CSV rows into topics', () => {
+    const [topic, disabled] = Topics.parseImport('label,tags,enabled\n" Space ","a; b;a",\nRust,,no\n,orphan,\n', 'csv');
+    expect(topic).toMatchObject({ label: 'Space', tags: ['a', 'b'], enabled: true, group: '', notes: '' });
+    expect(typeof topic.id).toBe('string');
+    expect(disabled).toMatchObject({ label: 'Rust', enabled: false });
+  });
+
+  test('accepts JSON arrays of strings or objects, or { topics }', () => {
+    expect(Topics.parseImport('["One", {"label": "Two", "tags": ["x"]}]', 'json').map(topic => topic.label)).toEqual(['One', 'Two']);
+    expect(Topics.parseImport('{"topics": ["Three"]}', 'json')[0].label).toBe('Three');
+    expect(() => Topics.parseImport('{"items": []}', 'json')).toThrow('Expected a JSON array of topics');
+  });
+});
+
+describe('Topics.toCsv', () => {
+  test('round-trips through parseImport', () => {
+    const topics = Topics.normalizeList([
+      { label: 'Quotes "and", commas', group: 'Misc', tags: ['a', 'b'], notes: 'Line one\nLine two', enabled: false },
+      'Plain'
+    ]);
+    const imported = Topics.parseImport(Topics.toCsv(topics), 'csv');
+    expect(imported.map(({ id, ...topic }) => topic)).toEqual(topics.map(({ id, ...topic }) => topic));
+  });
+});
+
+describe('Topics.merge', () => {
+  test('adds only labels that are new, ignoring case', () => {
+    const existing = Topics.normalizeList(['AI']);
+    const { topics, added } = Topics.merge(existing, Topics.normalizeList(['ai', 'Rust', 'rust']));
+    expect(added).toBe(1);
+    expect(topics.map(topic => topic.label)).toEqual(['AI', 'Rust']);
+  });
+});
@@ -0,0 +1,58 @@
+const { TweetLength } = require('../public/automation');
+
+describe('TweetLength.count', () => {
+  test('Latin text weighs one per character', () => {
+    expect(TweetLength.count('Hello, world!')).toEqual({ weighted: 13, max: 280, remaining: 267, valid: true });
+    // Accented Latin is still inside the light range
+    expect(TweetLength.count('café').weighted).toBe(4);
+  });
+
+  test('general punctuation in the light ranges weighs one', () => {
+    // U+2013 en dash, U+201C/U+201D quotes, U+2032 prime
+    expect(TweetLength.count('–“”′').weighted).toBe(4);
+  });
+
+  test('CJK and other symbols weigh two', () => {
+    expect(TweetLength.count('日本語').weighted).toBe(6);
+    // U+2192 arrow sits between the light ranges
+    expect(TweetLength.count('→').weighted).toBe(2);
+  });
+
+  test('an emoji sequence weighs two in total', () => {
+    expect(TweetLength.count('👍').weighted).toBe(2);
+    expect(TweetLength.count('👨‍👩‍👧‍👦').weighted).toBe(2);
+    expect(TweetLength.count('👍🏽').weighted).toBe(2);
+    expect(TweetLength.count('🇱🇰').weighted).toBe(2);
+  });
+
+  test('every link weighs 23, whatever its length', () => {
+    expect(TweetLength.count('https://example.com/a/very/long/path?with=query&and=more').weighted).toBe(23);
+    expect(TweetLength.count('see example.com').weighted).toBe(4 + 23);
+    // Trailing punctuation is not part of the link
+    expect(TweetLength.count('Read https://x.com/post.').weighted).toBe(5 + 23 + 1);
+  });
+
+  test('is valid up to exactly the limit', () => {
+    expect(TweetLength.count('a'.repeat(280)).valid).toBe(true);
+    expect(TweetLength.count('a'.repeat(281))).toMatchObject({ weighted: 281, remaining: -1, valid: false });
+    expect(TweetLength.count('日'.repeat(141)).valid).toBe(false);
+  });
+});
+
+describe('TweetLength.trim', () => {
+  test('leaves text that fits alone', () => {
+    expect(TweetLength.trim('  fits  ')).toBe('fits');
+  });
+
+  test('cuts between words and adds an ellipsis', () => {
+    const trimmed = TweetLength.trim('word '.repeat(100));
+    expect(trimmed.endsWith('word…')).toBe(true);
+    expect(TweetLength.count(trimmed).valid).toBe(true);
+  });
+
+  test('never cuts inside an emoji', () => {
+    const trimmed = TweetLength.trim('👨‍👩‍👧‍👦'.repeat(200));
+    expect(TweetLength.count(trimmed).valid).toBe(true);
+    expect(trimmed.replace('…', '')).toBe('👨‍👩‍👧‍👦'.repeat(139));
+  });
+});